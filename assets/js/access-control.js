@@ -0,0 +1,124 @@
+/**
+ * Access Control - Roles and permissions for POS users
+ * Each permission lists the roles it is assigned to, like the Roles & Permissions pages of the admin template
+ */
+
+const ROLES = {
+    cashier: { label: 'Kasir', level: 1 },
+    supervisor: { label: 'Supervisor', level: 2 },
+    owner: { label: 'Pemilik', level: 3 }
+};
+
+const DEFAULT_PERMISSIONS = {
+    'sale.create': ['cashier', 'supervisor', 'owner'],
+    'sale.void': ['supervisor', 'owner'],
+    'cart.changePrice': ['supervisor', 'owner'],
+    'cart.backorder': ['supervisor', 'owner'],
+    'cart.discount': ['supervisor', 'owner'],
+    'report.cashDrawer': ['supervisor', 'owner'],
+    'report.margin': ['supervisor', 'owner'],
+    'customer.creditLimit': ['supervisor', 'owner'],
+    'customer.creditOverride': ['supervisor', 'owner'],
+    'receivables.manage': ['supervisor', 'owner'],
+    'purchase.create': ['supervisor', 'owner'],
+    'purchase.receive': ['supervisor', 'owner'],
+    'vendor.manage': ['supervisor', 'owner'],
+    'payables.manage': ['supervisor', 'owner'],
+    'stock.view': ['cashier', 'supervisor', 'owner'],
+    'stock.adjust': ['supervisor', 'owner'],
+    'stock.opname': ['supervisor', 'owner'],
+    'sync.discard': ['supervisor', 'owner'],
+    'settings.manage': ['owner']
+};
+
+/**
+ * Error raised when the current user lacks a permission
+ */
+class AccessDeniedError extends Error {
+    constructor(permission) {
+        super(`Akses ditolak: ${permission}`);
+        this.name = 'AccessDeniedError';
+        this.permission = permission;
+    }
+}
+
+class AccessControl {
+    /**
+     * @param {Object} user - Logged-in user { email, name, role }
+     * @param {Object} [permissions] - Permission → roles map, overrides the defaults per permission
+     */
+    constructor(user, permissions = {}) {
+        this.user = user || null;
+        this.permissions = { ...DEFAULT_PERMISSIONS, ...permissions };
+    }
+
+    /**
+     * Role of the current user, defaults to cashier
+     * @returns {string}
+     */
+    getRole() {
+        const role = this.user && this.user.role;
+        return ROLES[role] ? role : 'cashier';
+    }
+
+    /**
+     * Display label of the current user's role
+     * @returns {string}
+     */
+    getRoleLabel() {
+        return ROLES[this.getRole()].label;
+    }
+
+    /**
+     * Check whether the current user has a permission
+     * @param {string} permission - Permission key, e.g. 'sale.void'
+     * @returns {boolean}
+     */
+    can(permission) {
+        return AccessControl.roleCan(this.getRole(), permission, this.permissions);
+    }
+
+    /**
+     * Throw AccessDeniedError unless the current user has a permission
+     * @param {string} permission - Permission key
+     */
+    require(permission) {
+        if (!this.can(permission)) {
+            throw new AccessDeniedError(permission);
+        }
+    }
+
+    /**
+     * Check a permission for an arbitrary role
+     * @param {string} role
+     * @param {string} permission
+     * @param {Object} [permissions] - Permission → roles map
+     * @returns {boolean}
+     */
+    static roleCan(role, permission, permissions = DEFAULT_PERMISSIONS) {
+        const roles = permissions[permission] || [];
+        return roles.includes(role);
+    }
+
+    /**
+     * Cashier identity recorded with each transaction
+     * @returns {Object|null}
+     */
+    getCashier() {
+        if (!this.user) return null;
+        return {
+            email: this.user.email,
+            name: this.user.name || this.user.email,
+            role: this.getRole()
+        };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AccessControl, AccessDeniedError, ROLES, DEFAULT_PERMISSIONS };
+}
+
+// Global instance for direct usage
+window.AccessControl = AccessControl;
+window.AccessDeniedError = AccessDeniedError;
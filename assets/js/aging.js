@@ -0,0 +1,51 @@
+/**
+ * Aging - Days past due and aging buckets, shared by the receivables statement (piutang)
+ * and the payables report (hutang)
+ */
+
+// Aging buckets of outstanding balances, by days past the due date
+const AGING_BUCKETS = [
+    { key: 'current', label: 'Belum jatuh tempo', maxDays: 0 },
+    { key: 'days30', label: '1-30 hari', maxDays: 30 },
+    { key: 'days60', label: '31-60 hari', maxDays: 60 },
+    { key: 'days90', label: '61-90 hari', maxDays: 90 },
+    { key: 'over90', label: '> 90 hari', maxDays: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class Aging {
+    /**
+     * Days an entry is past due (0 when not yet due)
+     * @param {string} dueDate
+     * @param {Date} asOf
+     * @returns {number}
+     */
+    static daysPastDue(dueDate, asOf) {
+        return Math.max(0, Math.floor((asOf - new Date(dueDate)) / DAY_MS));
+    }
+
+    /**
+     * Aging bucket for a number of days past due
+     * @param {number} days
+     * @returns {string} Bucket key
+     */
+    static bucket(days) {
+        return AGING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+    }
+
+    /**
+     * @returns {Object} { bucket: 0 } for every bucket
+     */
+    static emptyBuckets() {
+        return Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Aging, AGING_BUCKETS, DAY_MS };
+}
+
+// Global instance for direct usage
+window.Aging = Aging;
@@ -0,0 +1,49 @@
+/**
+ * App Config - Loads config.json once per page for every service
+ * Services await AppConfig.load() in their own loadConfig() and read the sections they need
+ */
+
+const FALLBACK_CONFIG = {
+    INVENTORY_SHEET_ID: '',
+    FINANCE_SHEET_ID: '',
+    APPS_SCRIPT_URL: '',
+    SECRET_KEY: ''
+};
+
+class AppConfig {
+    /**
+     * The loaded config.json; the same object for every caller, so treat it as read-only
+     * @returns {Promise<Object>} The fallback config when config.json cannot be loaded
+     */
+    static load() {
+        if (!AppConfig.pending) {
+            AppConfig.pending = AppConfig.fetchConfig();
+        }
+        return AppConfig.pending;
+    }
+
+    static async fetchConfig() {
+        try {
+            const response = await fetch('config.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const config = await response.json();
+            console.log('Configuration loaded:', config);
+            return config;
+        } catch (error) {
+            console.error('Failed to load configuration:', error);
+            return { ...FALLBACK_CONFIG };
+        }
+    }
+}
+
+AppConfig.pending = null;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AppConfig;
+}
+
+// Global instance for direct usage
+window.AppConfig = AppConfig;
@@ -0,0 +1,392 @@
+/**
+ * Auth Service - Handles login, session tokens and the page auth guard
+ * Credentials are verified and session tokens signed by the Apps Script WebApp;
+ * a local stand-in provider exists for development only
+ */
+
+const SESSION_STORAGE_KEY = 'miniERP.session';
+const DEFAULT_SESSION_TTL_MINUTES = 8 * 60; // one shift
+const DEV_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]']; // where the local provider may run
+const OFFLINE_ROLE = 'cashier'; // least-privileged role, used while the session cannot be verified
+
+/**
+ * Encode a string or byte array as base64url
+ * @param {string|Uint8Array} input
+ * @returns {string}
+ */
+function base64UrlEncode(input) {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string into text
+ * @param {string} input
+ * @returns {string}
+ */
+function base64UrlDecode(input) {
+    const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * SHA-256 hex digest of a string
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Authenticates against the Apps Script WebApp (`login` / `verifySession` / `logout` actions).
+ * The backend checks the password, issues the session token and signs it with a key that never
+ * leaves the server; the token is sent with every backend write so the backend can check the role.
+ */
+class AppsScriptAuthProvider {
+    constructor(config) {
+        this.config = config;
+    }
+
+    async request(payload) {
+        if (!this.config.APPS_SCRIPT_URL) {
+            throw new AuthError('Server login belum dikonfigurasi (APPS_SCRIPT_URL)', 'not_configured');
+        }
+
+        return fetchJson(this.config.APPS_SCRIPT_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+    }
+
+    /**
+     * @returns {Promise<Object>} { token, user, expiresAt }
+     */
+    async authenticate(email, password) {
+        const result = await this.request({ action: 'login', email, password });
+        if (!result.success) {
+            throw new AuthError(result.error || 'Email atau password salah', 'invalid_credentials');
+        }
+        return { token: result.token, user: result.user, expiresAt: result.expiresAt };
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The user the backend resolves the token to, or null if rejected
+     */
+    async verify(session) {
+        const result = await this.request({ action: 'verifySession', token: session.token });
+        if (!result.success) return null;
+        // A backend that does not echo the user gets no more than the least-privileged role
+        return result.user || { ...session.user, role: OFFLINE_ROLE };
+    }
+
+    async revoke(session) {
+        await this.request({ action: 'logout', token: session.token });
+    }
+}
+
+/**
+ * Local stand-in provider for development without a backend. It is never chosen by default:
+ * it needs AUTH_PROVIDER 'local', only runs on localhost, and its users and signing key come from
+ * the developer's own config (LOCAL_USERS, LOCAL_SIGNING_KEY), which is not shipped.
+ * Anyone who can read that config can forge sessions, so it must not be used on a real till.
+ */
+class LocalAuthProvider {
+    constructor(config) {
+        this.config = config;
+        this.users = config.LOCAL_USERS || [];
+        this.ttlMinutes = config.SESSION_TTL_MINUTES || DEFAULT_SESSION_TTL_MINUTES;
+    }
+
+    async getSigningKey() {
+        if (!DEV_HOSTNAMES.includes(window.location.hostname)) {
+            throw new AuthError('Login lokal hanya untuk pengembangan', 'not_configured');
+        }
+        if (!this.config.LOCAL_SIGNING_KEY) {
+            throw new AuthError('LOCAL_SIGNING_KEY belum diatur untuk login lokal', 'not_configured');
+        }
+        return crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(this.config.LOCAL_SIGNING_KEY),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign', 'verify']
+        );
+    }
+
+    async sign(payload) {
+        const encodedPayload = base64UrlEncode(JSON.stringify(payload));
+        const key = await this.getSigningKey();
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(encodedPayload));
+        return `${encodedPayload}.${base64UrlEncode(new Uint8Array(signature))}`;
+    }
+
+    async authenticate(email, password) {
+        const normalizedEmail = email.trim().toLowerCase();
+        const user = this.users.find(u => (u.email || '').toLowerCase() === normalizedEmail);
+        const hash = await sha256Hex(`${normalizedEmail}:${password}`);
+
+        if (!user || user.passwordHash !== hash || user.active === false) {
+            throw new AuthError('Email atau password salah', 'invalid_credentials');
+        }
+
+        const expiresAt = new Date(Date.now() + this.ttlMinutes * 60 * 1000).toISOString();
+        const profile = { email: user.email, name: user.name || user.email, role: user.role || 'cashier' };
+        const token = await this.sign({ sub: profile.email, name: profile.name, role: profile.role, exp: expiresAt });
+
+        return { token, user: profile, expiresAt };
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The user stored in the signed token, or null if the signature is wrong
+     */
+    async verify(session) {
+        const [encodedPayload] = (session.token || '').split('.');
+        if (!encodedPayload) return null;
+
+        try {
+            const payload = JSON.parse(base64UrlDecode(encodedPayload));
+            const expected = await this.sign(payload);
+            if (expected !== session.token) return null;
+            if (new Date(payload.exp).getTime() <= Date.now()) return null;
+            return { email: payload.sub, name: payload.name, role: payload.role };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async revoke() {
+        // Nothing to revoke server-side
+    }
+}
+
+/**
+ * Error raised for failed logins and rejected sessions
+ */
+class AuthError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+    }
+}
+
+class AuthService {
+    constructor() {
+        this.config = null;
+        this.provider = null;
+        this.session = null;
+        this.expiryTimer = null;
+        this.loginPage = 'login.html';
+
+        this.configReady = this.loadConfig();
+    }
+
+    /**
+     * Load configuration from config.json and pick the auth provider
+     */
+    async loadConfig() {
+        this.config = await AppConfig.load();
+
+        this.provider = this.createProvider(this.config);
+    }
+
+    /**
+     * Choose the provider from AUTH_PROVIDER. Apps Script is the default;
+     * 'local' is a development-only option that has to be asked for explicitly.
+     * @param {Object} config
+     */
+    createProvider(config) {
+        if (config.AUTH_PROVIDER === 'local') {
+            console.warn('Using the development-only local auth provider');
+            return new LocalAuthProvider(config);
+        }
+        return new AppsScriptAuthProvider(config);
+    }
+
+    /**
+     * Verify credentials and store the session
+     * @param {string} email
+     * @param {string} password
+     * @returns {Promise<Object>} Session object { token, user, expiresAt }
+     */
+    async login(email, password) {
+        await this.configReady;
+        const session = await this.provider.authenticate(email, password);
+        this.saveSession(session);
+        return session;
+    }
+
+    /**
+     * Check someone else's credentials without replacing the current session,
+     * e.g. a supervisor approving an action at a cashier's till.
+     * The session opened for the check is revoked right away, so approvals leave no live sessions behind.
+     * @param {string} email
+     * @param {string} password
+     * @returns {Promise<Object>} The verified user
+     */
+    async verifyCredentials(email, password) {
+        await this.configReady;
+        const session = await this.provider.authenticate(email, password);
+        try {
+            await this.provider.revoke(session);
+        } catch (error) {
+            console.warn('Failed to revoke approval session:', error);
+        }
+        return session.user;
+    }
+
+    /**
+     * Clear the session and go back to the login page
+     * @param {string} [reason] - Shown on the login page, e.g. 'expired'
+     */
+    async logout(reason) {
+        const session = this.getSession();
+        this.clearSession();
+
+        if (session && this.provider) {
+            try {
+                await this.provider.revoke(session);
+            } catch (error) {
+                console.warn('Failed to revoke session:', error);
+            }
+        }
+
+        this.redirectToLogin(reason);
+    }
+
+    /**
+     * Auth guard: resolves with the session when the user is logged in,
+     * otherwise redirects to the login page and resolves with null.
+     * @returns {Promise<Object|null>}
+     */
+    async requireAuth() {
+        await this.configReady;
+        const session = this.getSession();
+
+        if (!session) {
+            this.redirectToLogin();
+            return null;
+        }
+
+        if (this.isExpired(session)) {
+            this.clearSession();
+            this.redirectToLogin('expired');
+            return null;
+        }
+
+        let user;
+        try {
+            // Trust the user from the verified token, not the editable copy in storage
+            user = await this.provider.verify(session);
+        } catch (error) {
+            if (error instanceof AuthError) {
+                user = null;
+            } else {
+                // Backend unreachable: keep working offline on the unexpired session, but the role in
+                // storage can be edited, so only the least-privileged role applies until the next verify;
+                // the backend checks the token again when the queued records are delivered
+                console.warn('Session could not be verified, continuing offline:', error.message);
+                user = { ...session.user, role: OFFLINE_ROLE };
+            }
+        }
+
+        if (!user) {
+            this.clearSession();
+            this.redirectToLogin('invalid');
+            return null;
+        }
+
+        session.user = user;
+        this.session = session;
+        this.scheduleExpiry(session);
+        return session;
+    }
+
+    /**
+     * Redirect an already logged-in user away from the login page
+     * @param {string} target - Page to open
+     * @returns {boolean} Whether a redirect happened
+     */
+    redirectIfAuthenticated(target = 'index.html') {
+        const session = this.getSession();
+        if (session && !this.isExpired(session)) {
+            window.location.href = target;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Log out automatically once the session expires
+     * @param {Object} session
+     */
+    scheduleExpiry(session) {
+        clearTimeout(this.expiryTimer);
+        const remaining = new Date(session.expiresAt).getTime() - Date.now();
+        // setTimeout overflows above ~24.8 days
+        this.expiryTimer = setTimeout(() => this.logout('expired'), Math.min(remaining, 0x7FFFFFFF));
+    }
+
+    isExpired(session) {
+        return !session.expiresAt || new Date(session.expiresAt).getTime() <= Date.now();
+    }
+
+    getSession() {
+        try {
+            const raw = localStorage.getItem(SESSION_STORAGE_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveSession(session) {
+        this.session = session;
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    }
+
+    clearSession() {
+        clearTimeout(this.expiryTimer);
+        this.session = null;
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+
+    /**
+     * Get the logged-in user
+     * @returns {Object|null}
+     */
+    getUser() {
+        return this.session ? this.session.user : null;
+    }
+
+    /**
+     * Get the session token for backend requests
+     * @returns {string|null}
+     */
+    getToken() {
+        return this.session ? this.session.token : null;
+    }
+
+    redirectToLogin(reason) {
+        const url = reason ? `${this.loginPage}?reason=${encodeURIComponent(reason)}` : this.loginPage;
+        window.location.href = url;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuthService, AuthError, AppsScriptAuthProvider, LocalAuthProvider };
+}
+
+// Global instance for direct usage
+window.AuthService = AuthService;
+window.AuthError = AuthError;
@@ -0,0 +1,45 @@
+/**
+ * Backend Fetch - Requests to the Apps Script WebApp with a time limit
+ * On a captive portal or a hung backend a plain fetch() never settles; every backend request goes
+ * through fetchJson() so the till falls back to its offline path instead of waiting forever.
+ */
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 15000; // REQUEST_TIMEOUT_MS in config.json
+
+/**
+ * Fetch a URL and parse its JSON body, giving up after the timeout
+ * @param {string} url
+ * @param {Object} [options] - fetch() options, plus timeout in ms (defaults to REQUEST_TIMEOUT_MS)
+ * @returns {Promise<*>} Parsed response body
+ * @throws {Error} On a timeout, a network error or a non-2xx status (then with error.status)
+ */
+async function fetchJson(url, options = {}) {
+    const { timeout, ...init } = options;
+    const config = await AppConfig.load();
+    const limit = Number(timeout) || Number(config.REQUEST_TIMEOUT_MS) || DEFAULT_REQUEST_TIMEOUT_MS;
+
+    // The body is read before the timer is cleared, so a response that stalls halfway also times out
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), limit);
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return await response.json();
+    } catch (error) {
+        throw error.name === 'AbortError' ? new Error(`Request timed out after ${limit} ms`) : error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { fetchJson, DEFAULT_REQUEST_TIMEOUT_MS };
+}
+
+// Global instance for direct usage
+window.fetchJson = fetchJson;
@@ -0,0 +1,162 @@
+/**
+ * Barcode Scanner - Reads barcodes from keyboard-wedge scanners and from the device camera
+ * Wedge scanners type the code followed by Enter much faster than a person types, which is how
+ * a scan is told apart from keyboard input wherever the focus is
+ */
+
+const DEFAULT_SCANNER_CONFIG = {
+    minLength: 4, // shortest code accepted as a scan
+    maxInterval: 50, // ms between keystrokes of one scan
+    camera: true,
+    cameraInterval: 250, // ms between camera frame checks
+    formats: ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128', 'code_39', 'qr_code']
+};
+
+class BarcodeScanner {
+    /**
+     * @param {Object} [settings] - SCANNER section of config.json
+     */
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_SCANNER_CONFIG, ...settings };
+        this.onScan = null; // (code, source) => void, source is 'keyboard' or 'camera'
+        this.isActive = () => true; // when false, keyboard scans are left to the focused field (e.g. in a dialog)
+        this.buffer = '';
+        this.lastKeyTime = 0;
+        this.stream = null;
+        this.detector = null;
+        this.cameraTimer = null;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * Start listening for keyboard-wedge scans
+     */
+    listen() {
+        // Capture phase, so a scan ending in Enter does not also submit a form or run a search
+        document.addEventListener('keydown', this.handleKeydown, true);
+    }
+
+    stopListening() {
+        document.removeEventListener('keydown', this.handleKeydown, true);
+        this.buffer = '';
+    }
+
+    /**
+     * Collect fast keystrokes; Enter after at least minLength of them completes a scan
+     * @param {KeyboardEvent} event
+     */
+    handleKeydown(event) {
+        if (event.ctrlKey || event.altKey || event.metaKey) return;
+
+        const now = event.timeStamp || Date.now();
+        if (now - this.lastKeyTime > this.settings.maxInterval) {
+            this.buffer = '';
+        }
+        this.lastKeyTime = now;
+
+        if (event.key === 'Enter') {
+            const code = this.buffer;
+            this.buffer = '';
+            if (code.length >= this.settings.minLength && this.isActive()) {
+                event.preventDefault();
+                event.stopPropagation();
+                this.removeTypedCode(event.target, code);
+                this.emit(code, 'keyboard');
+            }
+            return;
+        }
+
+        if (event.key.length === 1) {
+            this.buffer += event.key;
+        }
+    }
+
+    /**
+     * The scanner also typed the code into the focused field (e.g. the search box); take it out again
+     * @param {EventTarget} target
+     * @param {string} code
+     */
+    removeTypedCode(target, code) {
+        if (!target || typeof target.value !== 'string' || !target.value.endsWith(code)) return;
+        target.value = target.value.slice(0, -code.length);
+        target.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    emit(code, source) {
+        const value = String(code).trim();
+        if (value && this.onScan) this.onScan(value, source);
+    }
+
+    /**
+     * Whether this browser can scan with the camera (Barcode Detection API)
+     * @returns {boolean}
+     */
+    static isCameraSupported() {
+        return typeof window.BarcodeDetector !== 'undefined'
+            && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    /**
+     * Show the rear camera in a video element and scan until a code is found or stopCamera() is called
+     * @param {HTMLVideoElement} video
+     */
+    async startCamera(video) {
+        if (!this.settings.camera || !BarcodeScanner.isCameraSupported()) {
+            throw new Error('Camera scanning is not supported in this browser');
+        }
+        this.stopCamera();
+
+        const supported = await window.BarcodeDetector.getSupportedFormats();
+        const formats = this.settings.formats.filter(format => supported.includes(format));
+        this.detector = new window.BarcodeDetector(formats.length > 0 ? { formats } : undefined);
+
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment' },
+            audio: false
+        });
+        video.srcObject = this.stream;
+        await video.play();
+        this.scanFrame(video);
+    }
+
+    /**
+     * Check the current frame; the camera stops after the first code found
+     * @param {HTMLVideoElement} video
+     */
+    async scanFrame(video) {
+        if (!this.stream) return;
+
+        try {
+            const codes = await this.detector.detect(video);
+            if (codes.length > 0 && this.stream) {
+                this.stopCamera();
+                this.emit(codes[0].rawValue, 'camera');
+                return;
+            }
+        } catch (error) {
+            console.warn('Barcode detection failed:', error.message);
+        }
+
+        if (this.stream) {
+            this.cameraTimer = setTimeout(() => this.scanFrame(video), this.settings.cameraInterval);
+        }
+    }
+
+    stopCamera() {
+        clearTimeout(this.cameraTimer);
+        this.cameraTimer = null;
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BarcodeScanner;
+}
+
+// Global instance for direct usage
+window.BarcodeScanner = BarcodeScanner;
@@ -0,0 +1,253 @@
+/**
+ * Category Service - Product categories for the sidebar
+ * Categories are taken from the inventory's kategori values; a categories sheet (or
+ * CATEGORIES.definitions in config.json) adds labels, ordering, icons and parent/child nesting
+ */
+
+const DEFAULT_CATEGORY_CONFIG = {
+    sheetId: '', // categories sheet, read through the Apps Script getCategories action
+    showEmpty: false, // also list defined categories without products
+    definitions: [] // [{ code, label, order, icon, parent }] used when there is no sheet
+};
+
+// Accepted sheet headers for each definition field
+const CATEGORY_FIELDS = {
+    code: ['code', 'kode', 'kategori', 'category'],
+    label: ['label', 'nama', 'name'],
+    order: ['order', 'urutan'],
+    icon: ['icon', 'ikon'],
+    parent: ['parent', 'induk'],
+    count: ['count', 'jumlah']
+};
+
+class CategoryService {
+    constructor() {
+        this.config = null;
+        this.settings = { ...DEFAULT_CATEGORY_CONFIG };
+        this.tree = []; // top-level categories, each with children
+        this.byCode = {};
+
+        this.configReady = this.loadConfig();
+    }
+
+    /**
+     * Load the CATEGORIES section of config.json
+     */
+    async loadConfig() {
+        this.config = await AppConfig.load();
+
+        this.settings = { ...DEFAULT_CATEGORY_CONFIG, ...(this.config.CATEGORIES || {}) };
+    }
+
+    /**
+     * Category definitions from the categories sheet, falling back to config.json
+     * @returns {Promise<Array<Object>>} [{ code, label, order, icon, parent, count }]
+     */
+    async getDefinitions() {
+        await this.configReady;
+
+        if (this.settings.sheetId && this.config.APPS_SCRIPT_URL) {
+            try {
+                const url = `${this.config.APPS_SCRIPT_URL}?action=getCategories&sheetId=${this.settings.sheetId}`;
+                const data = await fetchJson(url, {
+                    method: 'GET',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${this.config.SECRET_KEY}`
+                    }
+                });
+                return (data.categories || []).map(row => CategoryService.normalizeDefinition(row));
+            } catch (error) {
+                console.warn('Categories sheet unavailable, using config.json:', error.message);
+            }
+        }
+
+        return (this.settings.definitions || []).map(row => CategoryService.normalizeDefinition(row));
+    }
+
+    /**
+     * Product count of every category across the whole inventory, for when the inventory is paged
+     * server-side and the loaded pages cover only part of it
+     * @returns {Promise<Object|null>} { counts: { code: number }, total }, null when the backend cannot tell
+     */
+    async getProductCounts() {
+        await this.configReady;
+        if (!this.config.APPS_SCRIPT_URL || !this.config.INVENTORY_SHEET_ID) return null;
+
+        try {
+            const url = `${this.config.APPS_SCRIPT_URL}?action=getCategoryCounts&sheetId=${this.config.INVENTORY_SHEET_ID}`;
+            const data = await fetchJson(url, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.config.SECRET_KEY}`
+                }
+            });
+            if (!data.counts || typeof data.counts !== 'object') {
+                throw new Error('getCategoryCounts did not return counts');
+            }
+            const counts = {};
+            Object.keys(data.counts).forEach(code => {
+                counts[code] = Number(data.counts[code]) || 0;
+            });
+            const total = data.total !== undefined
+                ? Number(data.total) || 0
+                : Object.values(counts).reduce((sum, count) => sum + count, 0);
+            return { counts, total };
+        } catch (error) {
+            console.warn('Category counts unavailable, counting the loaded products:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Read a sheet row or config entry whatever its header spelling
+     * @param {Object} row
+     * @returns {Object} { code, label, order, icon, parent, count }
+     */
+    static normalizeDefinition(row) {
+        const value = (field) => {
+            const key = Object.keys(row).find(header => CATEGORY_FIELDS[field].includes(ColumnMapping.normalizeHeader(header)));
+            return key !== undefined && row[key] !== '' ? row[key] : null;
+        };
+        const order = Number(value('order'));
+        const count = Number(value('count'));
+
+        return {
+            code: String(value('code') || '').trim(),
+            label: value('label') ? String(value('label')).trim() : null,
+            order: value('order') !== null && !isNaN(order) ? order : null,
+            icon: value('icon') ? String(value('icon')).trim() : '',
+            parent: value('parent') ? String(value('parent')).trim() : '',
+            count: value('count') !== null && !isNaN(count) ? count : null
+        };
+    }
+
+    /**
+     * Label for a category without a definition, e.g. 'batu-bata' → 'Batu Bata'
+     * @param {string} code
+     * @returns {string}
+     */
+    static humanize(code) {
+        return String(code).replace(/[-_]+/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+    }
+
+    /**
+     * Build the category tree from the products and the definitions.
+     * Categories found only in products are listed after the defined ones. A definition's count
+     * (reported by the backend when the inventory is paged server-side) replaces the product count.
+     * @param {Array<Object>} products
+     * @param {Array<Object>} definitions
+     * @param {Object} [counts] - { code: number } for the whole inventory (getProductCounts);
+     *   when given, the products are not counted
+     * @returns {Array<Object>} Top-level categories: { code, label, order, icon, parent, count, children }
+     */
+    build(products, definitions, counts = null) {
+        const nodes = {};
+        const node = (code) => {
+            if (!nodes[code]) {
+                nodes[code] = { code, label: CategoryService.humanize(code), order: Infinity, icon: '', parent: '', own: 0, reported: null, count: 0, children: [] };
+            }
+            return nodes[code];
+        };
+
+        definitions.filter(definition => definition.code).forEach((definition, index) => {
+            Object.assign(node(definition.code), {
+                label: definition.label || CategoryService.humanize(definition.code),
+                order: definition.order !== null ? definition.order : index,
+                icon: definition.icon,
+                parent: definition.parent,
+                reported: definition.count
+            });
+        });
+        if (counts) {
+            Object.keys(counts).forEach(code => {
+                node(code).own = counts[code];
+            });
+        } else {
+            products.forEach(product => {
+                if (product.category) node(String(product.category)).own += 1;
+            });
+        }
+
+        // Nest under parents; a missing parent or a parent loop leaves the category at the top
+        const isLoop = (start) => {
+            const seen = new Set([start.code]);
+            for (let code = start.parent; code && nodes[code]; code = nodes[code].parent) {
+                if (seen.has(code)) return true;
+                seen.add(code);
+            }
+            return false;
+        };
+        const roots = [];
+        Object.values(nodes).forEach(category => {
+            const parent = category.parent && nodes[category.parent];
+            if (parent && parent !== category && !isLoop(category)) {
+                parent.children.push(category);
+            } else {
+                roots.push(category);
+            }
+        });
+
+        const finish = (list) => list
+            .map(category => {
+                category.children = finish(category.children);
+                category.count = (category.reported !== null ? category.reported : category.own)
+                    + category.children.reduce((sum, child) => sum + child.count, 0);
+                return category;
+            })
+            .filter(category => this.settings.showEmpty || category.count > 0)
+            .sort((a, b) => a.order - b.order || a.label.localeCompare(b.label, 'id'));
+
+        this.tree = finish(roots);
+        this.byCode = nodes;
+        return this.tree;
+    }
+
+    /**
+     * A category with all of its subcategories, for filtering products
+     * @param {string} code
+     * @returns {string[]}
+     */
+    getCodes(code) {
+        const category = this.byCode[code];
+        if (!category) return [code];
+        return [code, ...category.children.flatMap(child => this.getCodes(child.code))];
+    }
+
+    /**
+     * Render the sidebar list: 'Semua Produk' followed by the category tree
+     * @param {HTMLElement} container
+     * @param {number} total - Number of products in the inventory
+     * @param {string|null} selected - Selected category code
+     */
+    render(container, total, selected) {
+        const icon = (value) => {
+            if (!value) return '';
+            return /[./]/.test(value)
+                ? `<img class="category-icon" src="${escapeHtml(value)}" alt="">`
+                : `<span class="category-icon">${escapeHtml(value)}</span>`;
+        };
+        const item = (code, label, count, depth, iconValue) => `
+            <label class="category-item ${(selected || '') === code ? 'active' : ''}" data-category="${escapeHtml(code)}" style="--depth: ${depth}">
+                <input type="radio" name="category" value="${escapeHtml(code)}" ${(selected || '') === code ? 'checked' : ''}>
+                <span class="radio-custom"></span>
+                ${icon(iconValue)}
+                <span class="category-text">${escapeHtml(label)}</span>
+                <span class="category-count">${count}</span>
+            </label>
+        `;
+        const branch = (category, depth) => item(category.code, category.label, category.count, depth, category.icon)
+            + category.children.map(child => branch(child, depth + 1)).join('');
+
+        container.innerHTML = item('', 'Semua Produk', total, 0, '') + this.tree.map(category => branch(category, 0)).join('');
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategoryService;
+}
+
+// Global instance for direct usage
+window.CategoryService = CategoryService;
@@ -0,0 +1,283 @@
+/**
+ * Column Mapping - Maps inventory sheet headers to product fields
+ * DEFAULT_COLUMN_MAPPING below is the only built-in mapping. COLUMN_MAPPING in config.json may
+ * override parts of it, and the admin screen saves a shared override through the backend
+ * (getColumnMapping / saveColumnMapping), cached on each till for offline use.
+ */
+
+const COLUMN_MAPPING_STORAGE_KEY = 'miniERP.columnMapping';
+
+const PRODUCT_FIELDS = {
+    id: 'SKU / ID',
+    name: 'Nama Item',
+    price: 'Harga Jual',
+    category: 'Kategori',
+    weight: 'Satuan',
+    baseUnit: 'Satuan Dasar',
+    image: 'Gambar',
+    stock: 'Jumlah Stok',
+    costPrice: 'Harga Beli',
+    vendor: 'Nama Vendor',
+    taxCategory: 'Kategori Pajak',
+    units: 'Satuan Alternatif',
+    barcode: 'Barcode',
+    minStock: 'Stok Minimum',
+    reorderQty: 'Jumlah Pesan Ulang'
+};
+
+const DEFAULT_COLUMN_MAPPING = {
+    fields: {
+        id: ['sku', 'id'],
+        name: ['nama_item', 'name', 'product_name'],
+        price: ['harga_jual', 'price'],
+        category: ['kategori', 'category'],
+        weight: ['satuan', 'weight', 'unit'],
+        baseUnit: ['satuan_dasar', 'base_unit'],
+        image: ['image', 'image_url'],
+        stock: ['jumlah', 'stock', 'quantity'],
+        costPrice: ['harga_beli'],
+        vendor: ['nama_vendor'],
+        taxCategory: ['kategori_pajak', 'tax_category'],
+        units: ['satuan_alternatif', 'units'],
+        barcode: ['barcode', 'kode_barcode', 'ean'],
+        minStock: ['stok_minimum', 'min_stok', 'min_stock'],
+        reorderQty: ['jumlah_pesan_ulang', 'reorder_qty']
+    },
+    types: {
+        price: { type: 'number', decimalSeparator: 'auto' },
+        costPrice: { type: 'number', decimalSeparator: 'auto' },
+        stock: { type: 'integer', decimalSeparator: 'auto' },
+        minStock: { type: 'integer', decimalSeparator: 'auto' },
+        reorderQty: { type: 'integer', decimalSeparator: 'auto' },
+        weight: { type: 'unit', default: 'Unit', aliases: {} },
+        baseUnit: { type: 'unit', default: 'Unit', aliases: {} }
+    }
+};
+
+class ColumnMapping {
+    /**
+     * @param {Object} [mapping] - { fields: { field: [headers] }, types: { field: rule } }
+     */
+    constructor(mapping = {}) {
+        this.fields = { ...DEFAULT_COLUMN_MAPPING.fields, ...(mapping.fields || {}) };
+        this.types = { ...DEFAULT_COLUMN_MAPPING.types, ...(mapping.types || {}) };
+        this.headerIndex = this.buildHeaderIndex();
+    }
+
+    /**
+     * Build the mapping: the defaults, COLUMN_MAPPING from config.json, then the admin screen override
+     * @param {Object} config - Loaded config.json
+     * @returns {ColumnMapping}
+     */
+    static fromConfig(config) {
+        const base = (config && config.COLUMN_MAPPING) || {};
+        const override = ColumnMapping.loadOverride();
+        if (!override) return new ColumnMapping(base);
+
+        return new ColumnMapping({
+            fields: { ...(base.fields || {}), ...(override.fields || {}) },
+            types: { ...(base.types || {}), ...(override.types || {}) }
+        });
+    }
+
+    static loadOverride() {
+        try {
+            const raw = localStorage.getItem(COLUMN_MAPPING_STORAGE_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.warn('Ignoring invalid column mapping override:', error);
+            return null;
+        }
+    }
+
+    static cacheOverride(mapping) {
+        if (mapping) {
+            localStorage.setItem(COLUMN_MAPPING_STORAGE_KEY, JSON.stringify(mapping));
+        } else {
+            localStorage.removeItem(COLUMN_MAPPING_STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Refresh the cached override from the backend, so every till imports with the same mapping.
+     * When the backend is unreachable the cached override stays in use.
+     * @param {Object} config - Loaded config.json
+     */
+    static async syncOverride(config) {
+        if (!config || !config.APPS_SCRIPT_URL) return;
+
+        try {
+            const data = await fetchJson(`${config.APPS_SCRIPT_URL}?action=getColumnMapping`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${config.SECRET_KEY}`
+                }
+            });
+            ColumnMapping.cacheOverride(data.columnMapping || null);
+        } catch (error) {
+            console.warn('Failed to refresh the column mapping, using the cached one:', error.message);
+        }
+    }
+
+    /**
+     * Save the admin screen override for all tills, or remove it with null
+     * @param {Object|null} mapping - { fields, types }
+     * @param {Object} config - Loaded config.json
+     * @param {string|null} token - Session token; the backend requires settings.manage
+     * @returns {Promise<boolean>} true when it was shared through the backend, false when it is kept on this device only
+     */
+    static async saveOverride(mapping, config, token) {
+        if (!config || !config.APPS_SCRIPT_URL) {
+            ColumnMapping.cacheOverride(mapping);
+            return false;
+        }
+
+        const result = await fetchJson(config.APPS_SCRIPT_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${config.SECRET_KEY}`
+            },
+            body: JSON.stringify({ action: 'saveColumnMapping', data: { columnMapping: mapping }, token })
+        });
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to save column mapping');
+        }
+
+        ColumnMapping.cacheOverride(mapping);
+        return true;
+    }
+
+    /**
+     * Normalize a sheet header for matching: lowercase, spaces/dashes to underscores
+     * @param {string} header
+     * @returns {string}
+     */
+    static normalizeHeader(header) {
+        return (header || '').trim().toLowerCase().replace(/[\s\-]+/g, '_');
+    }
+
+    buildHeaderIndex() {
+        const index = {};
+        Object.keys(this.fields).forEach(field => {
+            (this.fields[field] || []).forEach(header => {
+                index[ColumnMapping.normalizeHeader(header)] = field;
+            });
+        });
+        return index;
+    }
+
+    /**
+     * Product field for a sheet header, or null when the header is not mapped
+     * @param {string} header - Sheet header
+     * @returns {string|null}
+     */
+    resolve(header) {
+        return this.headerIndex[ColumnMapping.normalizeHeader(header)] || null;
+    }
+
+    /**
+     * Convert a raw cell value using the field's type rule
+     * @param {string} field - Product field
+     * @param {string} value - Raw cell text
+     * @returns {*} Coerced value
+     */
+    coerce(field, value) {
+        const rule = this.types[field];
+        if (!rule) return value;
+
+        switch (rule.type) {
+            case 'number':
+                return ColumnMapping.parseNumber(value, rule.decimalSeparator) || 0;
+            case 'integer':
+                return Math.trunc(ColumnMapping.parseNumber(value, rule.decimalSeparator) || 0);
+            case 'unit':
+                return ColumnMapping.normalizeUnit(value, rule);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Check a raw cell value against the field's type rule
+     * @param {string} field - Product field
+     * @param {string} value - Raw cell text
+     * @returns {string|null} Error message, or null when the value is usable
+     */
+    validate(field, value) {
+        const rule = this.types[field];
+        if (!rule || !value) return null;
+
+        if ((rule.type === 'number' || rule.type === 'integer') && isNaN(ColumnMapping.parseNumber(value, rule.decimalSeparator))) {
+            return `"${value}" is not a number`;
+        }
+        return null;
+    }
+
+    /**
+     * Parse a number written as "165000", "Rp 165.000", "165,000.50" or "2,5"
+     * @param {string} value - Raw text
+     * @param {string} [decimalSeparator] - ',' or '.', or 'auto' to guess from the text
+     * @returns {number} NaN when no digits are present
+     */
+    static parseNumber(value, decimalSeparator = 'auto') {
+        // Keep digits, separators and sign; drop currency text like "Rp" or "Rp."
+        const text = String(value || '').replace(/[^0-9.,\-]/g, '').replace(/^[.,]+|[.,]+$/g, '');
+        if (!/[0-9]/.test(text)) return NaN;
+
+        let separator = decimalSeparator;
+        if (separator !== ',' && separator !== '.') {
+            const lastComma = text.lastIndexOf(',');
+            const lastDot = text.lastIndexOf('.');
+            if (lastComma >= 0 && lastDot >= 0) {
+                // Both present: the last one is the decimal separator
+                separator = lastComma > lastDot ? ',' : '.';
+            } else if (lastComma >= 0 || lastDot >= 0) {
+                // Only one kind: groups of exactly three digits are thousands
+                const char = lastComma >= 0 ? ',' : '.';
+                const thousands = new RegExp(`^-?\\d{1,3}(\\${char}\\d{3})+$`);
+                separator = thousands.test(text) ? (char === ',' ? '.' : ',') : char;
+            } else {
+                separator = '.';
+            }
+        }
+
+        const thousandSeparator = separator === ',' ? '.' : ',';
+        const normalized = text.split(thousandSeparator).join('').replace(separator, '.');
+        return parseFloat(normalized);
+    }
+
+    /**
+     * Tidy a unit text and apply unit aliases (e.g. "krg" → "Karung")
+     * @param {string} value - Raw unit text
+     * @param {Object} rule - { default, aliases }
+     * @returns {string}
+     */
+    static normalizeUnit(value, rule = {}) {
+        let text = String(value || '').replace(/\s+/g, ' ').trim();
+        if (!text) return rule.default || '';
+
+        Object.keys(rule.aliases || {}).forEach(alias => {
+            const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            text = text.replace(new RegExp(`\\b${escaped}\\b`, 'gi'), rule.aliases[alias]);
+        });
+        return text;
+    }
+
+    /**
+     * Plain object form, as stored in config.json
+     * @returns {Object}
+     */
+    toJSON() {
+        return { fields: this.fields, types: this.types };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ColumnMapping, DEFAULT_COLUMN_MAPPING, PRODUCT_FIELDS };
+}
+
+// Global instance for direct usage
+window.ColumnMapping = ColumnMapping;
@@ -0,0 +1,119 @@
+/**
+ * Cost Engine - Moving-average cost of products and gross margin of sales
+ * A product's costPrice (harga_beli) is its average cost per base unit. Each goods receipt blends
+ * the received cost into it; each sale line records the cost of goods sold at that average.
+ */
+
+const MARGIN_GROUPS = {
+    product: 'Produk',
+    category: 'Kategori',
+    day: 'Tanggal'
+};
+
+class CostEngine {
+    /**
+     * Average cost after receiving goods
+     * @param {number} stock - Stock on hand before the receipt, in base units
+     * @param {number|null} averageCost - Current average cost per base unit
+     * @param {number} quantity - Quantity received, in base units
+     * @param {number} unitCost - Cost per base unit of the received goods
+     * @returns {number} New average cost, rounded to cents
+     */
+    static movingAverage(stock, averageCost, quantity, unitCost) {
+        // Without stock on hand (or a known cost) there is nothing to average with
+        if (!(stock > 0) || averageCost === null || !(averageCost >= 0)) {
+            return unitCost;
+        }
+        const average = (stock * averageCost + quantity * unitCost) / (stock + quantity);
+        return Math.round(average * 100) / 100;
+    }
+
+    /**
+     * Average cost of a product per base unit
+     * @param {Object} product - Product or cart item
+     * @returns {number|null} null when the product has no cost price
+     */
+    static unitCost(product) {
+        const cost = product ? Number(product.costPrice) : NaN;
+        return product && product.costPrice !== undefined && product.costPrice !== null && product.costPrice !== '' && cost >= 0
+            ? cost
+            : null;
+    }
+
+    /**
+     * Cost of goods sold and margin of a sale line
+     * @param {number|null} unitCost - Average cost per base unit
+     * @param {number} baseQuantity - Quantity sold, in base units
+     * @param {number} revenue - Line revenue after discounts, excluding tax
+     * @returns {Object} { unitCost, cost, margin }, cost and margin null when the cost is unknown
+     */
+    static lineCost(unitCost, baseQuantity, revenue) {
+        if (unitCost === null) {
+            return { unitCost: null, cost: null, margin: null };
+        }
+        const cost = Math.round(unitCost * baseQuantity);
+        return { unitCost, cost, margin: revenue - cost };
+    }
+
+    /**
+     * Gross margin of sales grouped by product, category or day
+     * @param {Array<Object>} transactions - Completed (not voided) transactions
+     * @param {string} groupBy - product, category or day
+     * @returns {Array<Object>} [{ key, label, quantity, revenue, costedRevenue, cost, margin, marginRate, uncosted }], largest
+     *   revenue first (days in date order); margin covers only lines with a known cost, uncosted counts the others
+     */
+    static marginReport(transactions, groupBy) {
+        const rows = {};
+
+        transactions.forEach(transaction => {
+            const date = new Date(transaction.timestamp);
+            const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+            (transaction.items || []).forEach(item => {
+                const keys = {
+                    product: [item.sku, item.name],
+                    category: [item.category || '', item.category ? CategoryService.humanize(item.category) : 'Tanpa kategori'],
+                    day: [day, date.toLocaleDateString('id-ID', { weekday: 'short', day: '2-digit', month: 'short', year: 'numeric' })]
+                };
+                const [key, label] = keys[groupBy];
+                if (!rows[key]) {
+                    rows[key] = { key, label, quantity: 0, revenue: 0, costedRevenue: 0, cost: 0, margin: 0, uncosted: 0 };
+                }
+
+                const row = rows[key];
+                // Revenue excludes tax; older lines without a tax base fall back to their total
+                const revenue = item.taxBase !== undefined ? item.taxBase : item.total;
+                row.quantity += item.baseQuantity !== undefined ? item.baseQuantity : item.quantity;
+                row.revenue += revenue;
+                if (item.cost === undefined || item.cost === null) {
+                    row.uncosted += 1;
+                    return;
+                }
+                row.costedRevenue += revenue;
+                row.cost += item.cost;
+                row.margin += revenue - item.cost;
+            });
+        });
+
+        return Object.values(rows)
+            .map(row => ({
+                key: row.key,
+                label: row.label,
+                quantity: row.quantity,
+                revenue: row.revenue,
+                costedRevenue: row.costedRevenue,
+                cost: row.cost,
+                margin: row.margin,
+                marginRate: row.costedRevenue > 0 ? row.margin / row.costedRevenue : null,
+                uncosted: row.uncosted
+            }))
+            .sort((a, b) => (groupBy === 'day' ? a.key.localeCompare(b.key) : b.revenue - a.revenue));
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CostEngine;
+}
+
+// Global instance for direct usage
+window.CostEngine = CostEngine;
@@ -0,0 +1,424 @@
+/**
+ * Customer Service - Customer records and credit (piutang) accounts
+ * Customers and receivables are kept by the Apps Script WebApp and cached on this device, so
+ * every till sees the same balances. "Bayar nanti" sales open a receivable against the customer's
+ * credit limit; payments received settle the oldest receivables first.
+ */
+
+const CUSTOMERS_STORAGE_KEY = 'miniERP.customers';
+const RECEIVABLES_STORAGE_KEY = 'miniERP.receivables';
+
+const DEFAULT_CUSTOMER_CONFIG = {
+    defaultCreditLimit: 0, // new customers cannot buy on credit until a limit is set
+    paymentTermDays: 30
+};
+
+/**
+ * Error raised when a pay-later sale exceeds the customer's credit limit and no supervisor approved it
+ */
+class CreditLimitError extends Error {
+    constructor(customer, credit) {
+        super(`Credit limit exceeded for ${customer.name}`);
+        this.name = 'CreditLimitError';
+        this.customer = customer;
+        this.credit = credit; // { allowed, limit, balance, available } from checkCredit
+    }
+}
+
+class CustomerService {
+    constructor() {
+        this.config = null;
+        this.settings = { ...DEFAULT_CUSTOMER_CONFIG };
+        this.accessControl = null; // set by MiniERP after login
+        this.submit = null; // async (record, action) => result, delivers records through the offline outbox; set by MiniERP
+        this.requestTimeout = 3000;
+
+        this.configReady = this.loadConfig();
+    }
+
+    /**
+     * Load the CUSTOMERS section of config.json and refresh the customer list from the backend
+     */
+    async loadConfig() {
+        this.config = await AppConfig.load();
+
+        this.settings = { ...DEFAULT_CUSTOMER_CONFIG, ...(this.config.CUSTOMERS || {}) };
+        await this.syncCustomers();
+        await this.syncReceivables();
+    }
+
+    /**
+     * Merge the customers kept by the backend into the local list; customers created offline are kept
+     */
+    async syncCustomers() {
+        if (!this.config.APPS_SCRIPT_URL) return;
+
+        try {
+            const data = await fetchJson(`${this.config.APPS_SCRIPT_URL}?action=getCustomers`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.config.SECRET_KEY}`
+                }
+            });
+            const customers = this.list();
+            (data.customers || []).forEach(remote => {
+                const index = customers.findIndex(customer => customer.id === remote.id);
+                if (index === -1) {
+                    customers.push(remote);
+                } else {
+                    customers[index] = { ...customers[index], ...remote };
+                }
+            });
+            this.save(customers);
+        } catch (error) {
+            console.warn('Failed to refresh customers, using the local list:', error.message);
+        }
+    }
+
+    readStorage(key) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key) || '[]');
+            return Array.isArray(value) ? value : [];
+        } catch (error) {
+            console.error(`Failed to read ${key}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * @returns {Array<Object>} Customers { id, name, phone, address, creditLimit, paymentTermDays }
+     */
+    list() {
+        return this.readStorage(CUSTOMERS_STORAGE_KEY);
+    }
+
+    save(customers) {
+        localStorage.setItem(CUSTOMERS_STORAGE_KEY, JSON.stringify(customers));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.list().find(customer => customer.id === id) || null;
+    }
+
+    /**
+     * Find customers by name, phone number or ID, tolerating typos in names
+     * @param {string} query
+     * @param {number} [limit]
+     * @returns {Array<Object>}
+     */
+    search(query, limit = 20) {
+        const customers = this.list();
+        const queryTokens = ProductSearch.tokenize(query);
+        if (queryTokens.length === 0) {
+            return customers.sort((a, b) => a.name.localeCompare(b.name, 'id')).slice(0, limit);
+        }
+
+        return customers
+            .map(customer => ({
+                customer,
+                score: ProductSearch.score(queryTokens, ProductSearch.tokenize(
+                    `${customer.name} ${customer.id} ${customer.phone || ''} ${String(customer.phone || '').replace(/\D/g, '')}`
+                ))
+            }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(result => result.customer);
+    }
+
+    /**
+     * Register a new customer. Setting a credit limit needs the customer.creditLimit permission.
+     * @param {Object} data - { name, phone, address, creditLimit }
+     * @returns {Object} Customer
+     */
+    create(data) {
+        const name = String(data.name || '').trim();
+        const phone = String(data.phone || '').trim();
+        if (!name) {
+            throw new Error('Nama pelanggan wajib diisi');
+        }
+
+        const phoneDigits = phone.replace(/\D/g, '');
+        const duplicate = phoneDigits && this.list().find(customer => String(customer.phone || '').replace(/\D/g, '') === phoneDigits);
+        if (duplicate) {
+            throw new Error(`Nomor telepon sudah terdaftar atas nama ${duplicate.name}`);
+        }
+
+        let creditLimit = this.settings.defaultCreditLimit;
+        if (data.creditLimit !== undefined && data.creditLimit !== null && data.creditLimit !== '') {
+            this.requirePermission('customer.creditLimit');
+            creditLimit = Math.max(0, Number(data.creditLimit) || 0);
+        }
+
+        const customer = {
+            id: RecordId.create('C'),
+            name,
+            phone,
+            address: String(data.address || '').trim(),
+            creditLimit,
+            paymentTermDays: this.settings.paymentTermDays,
+            createdAt: new Date().toISOString(),
+            createdBy: this.accessControl ? this.accessControl.getCashier() : null
+        };
+        this.save([...this.list(), customer]);
+
+        // Outbox records are keyed by trxNumber; the customer ID serves as that key here
+        this.deliver({ trxNumber: customer.id, customer }, 'saveCustomer');
+        return customer;
+    }
+
+    requirePermission(permission) {
+        if (!this.accessControl) {
+            throw new AccessDeniedError(permission);
+        }
+        this.accessControl.require(permission);
+    }
+
+    deliver(record, action) {
+        if (!this.submit) return;
+        this.submit(record, action).catch(error => console.error(`Failed to record ${action}:`, error));
+    }
+
+    /**
+     * Refresh the receivables cache from the backend (getReceivables), which holds the receivables
+     * of every till. Entries this till has not delivered yet are kept; for an entry known on both
+     * sides the one with more payments recorded wins, and a void on either side stands.
+     */
+    async syncReceivables() {
+        if (!this.config.APPS_SCRIPT_URL) return;
+
+        try {
+            const data = await fetchJson(`${this.config.APPS_SCRIPT_URL}?action=getReceivables`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.config.SECRET_KEY}`
+                },
+                timeout: this.requestTimeout
+            });
+            if (!Array.isArray(data.receivables)) {
+                throw new Error('getReceivables did not return a list');
+            }
+
+            const receivables = this.listReceivables();
+            data.receivables.forEach(remote => {
+                const index = receivables.findIndex(entry => entry.trxNumber === remote.trxNumber);
+                if (index === -1) {
+                    receivables.push({ payments: [], ...remote });
+                    return;
+                }
+                const local = receivables[index];
+                const merged = (Number(remote.paid) || 0) >= (Number(local.paid) || 0) ? { ...local, ...remote } : local;
+                if (local.voidedAt || remote.voidedAt) merged.voidedAt = local.voidedAt || remote.voidedAt;
+                receivables[index] = merged;
+            });
+            this.saveReceivables(receivables);
+        } catch (error) {
+            console.warn('Failed to refresh receivables, using the local ledger:', error.message);
+        }
+    }
+
+    /**
+     * Receivables cached on this device, see syncReceivables()
+     * @returns {Array<Object>} [{ trxNumber, customerId, date, dueDate, amount, paid, payments, voidedAt }]
+     */
+    listReceivables() {
+        return this.readStorage(RECEIVABLES_STORAGE_KEY);
+    }
+
+    saveReceivables(receivables) {
+        localStorage.setItem(RECEIVABLES_STORAGE_KEY, JSON.stringify(receivables));
+    }
+
+    /**
+     * Open receivables, oldest due date first
+     * @param {string} [customerId] - All customers when omitted
+     * @returns {Array<Object>}
+     */
+    getOpenReceivables(customerId) {
+        return this.listReceivables()
+            .filter(entry => !entry.voidedAt && entry.amount - entry.paid > 0 && (!customerId || entry.customerId === customerId))
+            .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    }
+
+    /**
+     * @param {string} customerId
+     * @returns {number} Outstanding balance
+     */
+    getBalance(customerId) {
+        return this.getOpenReceivables(customerId).reduce((sum, entry) => sum + entry.amount - entry.paid, 0);
+    }
+
+    /**
+     * Due date for a credit sale made today
+     * @param {Object} customer
+     * @returns {string} ISO date
+     */
+    getDueDate(customer) {
+        const termDays = Number(customer.paymentTermDays) || this.settings.paymentTermDays;
+        return new Date(Date.now() + termDays * DAY_MS).toISOString();
+    }
+
+    /**
+     * Check a credit sale against the customer's limit, with the balance across all tills as far
+     * as the backend can be reached
+     * @param {Object} customer
+     * @param {number} amount - Amount to put on credit
+     * @returns {Promise<Object>} { allowed, limit, balance, available }
+     */
+    async checkCredit(customer, amount) {
+        await this.configReady;
+        await this.syncReceivables();
+
+        const limit = Number(customer.creditLimit) || 0;
+        const balance = this.getBalance(customer.id);
+        const available = Math.max(0, limit - balance);
+        return { allowed: amount <= available, limit, balance, available };
+    }
+
+    /**
+     * Open a receivable for the credit part of a completed sale
+     * @param {Object} transaction - Transaction built by InventoryService.checkout
+     * @returns {Object|null} Receivable, or null when nothing was sold on credit
+     */
+    addReceivable(transaction) {
+        const amount = (transaction.payments || [])
+            .filter(payment => payment.method === 'credit')
+            .reduce((sum, payment) => sum + payment.amount, 0);
+        if (amount <= 0 || !transaction.customer) return null;
+
+        const receivable = {
+            trxNumber: transaction.trxNumber,
+            customerId: transaction.customer.id,
+            date: transaction.timestamp,
+            dueDate: transaction.dueDate,
+            amount,
+            paid: 0,
+            payments: []
+        };
+        this.saveReceivables([...this.listReceivables(), receivable]);
+
+        this.deliver({ ...receivable }, 'saveReceivable');
+        return receivable;
+    }
+
+    /**
+     * Close the receivable of a voided pay-later sale, so it no longer counts against the credit limit.
+     * The backend is told even when this till has no copy of the receivable.
+     * @param {Object} sale - The voided sale, as returned by InventoryService.voidTransaction
+     * @param {string} reason
+     * @returns {Object|null} The voided receivable, whose paid is what the customer already paid on it
+     *   and is owed back; null when the sale was not on credit
+     */
+    voidReceivable(sale, reason) {
+        const credit = (sale.payments || []).some(payment => payment.method === 'credit');
+        if (!credit) return null;
+
+        const receivables = this.listReceivables();
+        const entry = receivables.find(r => r.trxNumber === sale.trxNumber);
+        if (entry && entry.voidedAt) return null;
+
+        const voidedAt = new Date().toISOString();
+        if (entry) {
+            entry.voidedAt = voidedAt;
+            entry.voidReason = reason || '';
+            this.saveReceivables(receivables);
+        }
+
+        this.deliver({ trxNumber: sale.trxNumber, voidedAt, reason: reason || '' }, 'voidReceivable');
+        return entry || { trxNumber: sale.trxNumber, paid: 0, voidedAt };
+    }
+
+    /**
+     * Receive a payment on a customer's account; the oldest receivables are settled first
+     * @param {string} customerId
+     * @param {number} amount
+     * @param {string} method - Payment method, e.g. cash
+     * @returns {Object} Payment { receiptNumber, customerId, amount, method, allocations, receivedAt, receivedBy }
+     */
+    receivePayment(customerId, amount, method) {
+        this.requirePermission('receivables.manage');
+
+        const balance = this.getBalance(customerId);
+        if (!(amount > 0)) {
+            throw new Error('Nominal pembayaran harus lebih dari nol');
+        }
+        if (amount > balance) {
+            throw new Error('Pembayaran melebihi saldo piutang');
+        }
+
+        const payment = {
+            receiptNumber: RecordId.create('PAY-'),
+            customerId,
+            amount,
+            method,
+            allocations: [],
+            receivedAt: new Date().toISOString(),
+            receivedBy: this.accessControl.getCashier()
+        };
+
+        const openNumbers = this.getOpenReceivables(customerId).map(entry => entry.trxNumber);
+        const receivables = this.listReceivables();
+        let remaining = amount;
+        openNumbers.forEach(trxNumber => {
+            if (remaining <= 0) return;
+            const entry = receivables.find(r => r.trxNumber === trxNumber);
+            const applied = Math.min(remaining, entry.amount - entry.paid);
+            entry.paid += applied;
+            entry.payments.push({ receiptNumber: payment.receiptNumber, amount: applied, date: payment.receivedAt });
+            payment.allocations.push({ trxNumber, amount: applied });
+            remaining -= applied;
+        });
+        this.saveReceivables(receivables);
+
+        this.deliver({ trxNumber: payment.receiptNumber, ...payment }, 'receivePayment');
+        return payment;
+    }
+
+    /**
+     * Statement of outstanding balances per customer, largest balance first
+     * @param {Date} [asOf]
+     * @returns {Array<Object>} [{ customer, balance, overdue, aging: { bucket: amount }, receivables }]
+     */
+    getStatement(asOf = new Date()) {
+        const customers = this.list();
+        const rows = {};
+
+        this.getOpenReceivables().forEach(entry => {
+            if (!rows[entry.customerId]) {
+                const customer = customers.find(c => c.id === entry.customerId) || { id: entry.customerId, name: entry.customerId, creditLimit: 0 };
+                rows[entry.customerId] = {
+                    customer,
+                    balance: 0,
+                    overdue: 0,
+                    aging: Aging.emptyBuckets(),
+                    receivables: []
+                };
+            }
+
+            const row = rows[entry.customerId];
+            const outstanding = entry.amount - entry.paid;
+            const daysPastDue = Aging.daysPastDue(entry.dueDate, asOf);
+            row.balance += outstanding;
+            if (daysPastDue > 0) row.overdue += outstanding;
+            row.aging[Aging.bucket(daysPastDue)] += outstanding;
+            row.receivables.push({ ...entry, outstanding, daysPastDue });
+        });
+
+        return Object.values(rows).sort((a, b) => b.balance - a.balance);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CustomerService, CreditLimitError };
+}
+
+// Global instance for direct usage
+window.CustomerService = CustomerService;
+window.CreditLimitError = CreditLimitError;
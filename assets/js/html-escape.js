@@ -0,0 +1,28 @@
+/**
+ * HTML Escape - Makes text safe to put into markup built from template strings
+ * Product, customer and vendor data comes from sheets and cashier input, so every value
+ * interpolated into innerHTML goes through escapeHtml()
+ */
+
+/**
+ * Escape text for HTML content or a quoted attribute value
+ * @param {*} value - null and undefined become an empty string
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = escapeHtml;
+}
+
+// Global instance for direct usage
+window.escapeHtml = escapeHtml;
@@ -3,34 +3,275 @@
  * Integrates with Google Sheets API and Apps Script WebApp
  */
 
+const DEFAULT_PAGINATION = {
+    pageSize: 12,
+    serverSide: false // page through the Apps Script getInventory action instead of loading every product
+};
+
+const DEFAULT_DISCOUNT_REASONS = [
+    { code: 'PROMO', label: 'Promo' },
+    { code: 'BULK', label: 'Pembelian grosir' },
+    { code: 'LOYAL', label: 'Pelanggan tetap' },
+    { code: 'DAMAGED', label: 'Barang cacat' },
+    { code: 'OTHER', label: 'Lainnya' }
+];
+
 class InventoryService {
     constructor() {
         this.config = null;
         this.inventory = [];
         this.cart = [];
-        this.taxRate = 0.11; // 11% PPN
+        this.query = { ...DEFAULT_PRODUCT_QUERY }; // what the product grid shows, see setQuery()
+        this.pagination = { page: 1, pageSize: DEFAULT_PAGINATION.pageSize, total: 0, serverSide: false };
+        this.pageRequest = 0; // latest page load, so a slow response does not replace a newer one
+        this.stockLevels = null; // stock of the whole inventory from getStockLevels, when paged server-side
+        this.taxEngine = new TaxEngine(); // replaced with the configured one once config.json is loaded
+        this.accessControl = null; // set by MiniERP after login
+        this.authToken = null; // session token sent with backend writes, so the backend checks the user's role; set by MiniERP
+        this.terminal = null; // { storeCode, tillId } of this till, recorded on sales; set by MiniERP
+        this.csvReport = null; // accepted/rejected rows of the last CSV import
+        this.approvalHandler = null; // async (message, permission) => approving user or null, set by MiniERP
+        this.onStockConflict = null; // called with conflicts reported by the backend after a stock update
+        this.onLowStock = null; // called with the products a sale took below their minimum stock
+        this.discountHandler = null; // async ({ title, base, discount, reasons }) => discount or null, set by MiniERP
+        this.orderDiscount = null; // { type, value, reason, reasonLabel, approvedBy } on the whole order
+        this.customer = null; // { id, name, phone } the sale is for, required for pay-later sales
+        this.columnMapping = null; // built from config on first parse
+        this.columnMappingReady = null; // refresh of the shared column mapping, started by loadConfig
+        this.parkedSales = new ParkedSales();
+        this.stockLedger = new StockLedger();
         
-        this.loadConfig();
+        this.configReady = this.loadConfig();
+
+        // Offline outbox for completed sales
+        this.transactionQueue = TransactionQueue.isSupported()
+            ? new TransactionQueue({
+                send: (data, action, token) => this.sendTransaction(data, action, token),
+                getToken: () => this.authToken
+            })
+            : null;
+        if (this.transactionQueue) {
+            this.configReady.then(() => this.transactionQueue.flush());
+        }
     }
 
     /**
      * Load configuration from config.json
      */
     async loadConfig() {
+        this.config = await AppConfig.load();
+
+        this.taxEngine = new TaxEngine(this.config.TAX);
+        // Only the CSV import reads the mapping, so checkout and the outbox do not wait for the refresh
+        this.columnMappingReady = ColumnMapping.syncOverride(this.config);
+
+        const pagination = { ...DEFAULT_PAGINATION, ...(this.config.PAGINATION || {}) };
+        this.pagination.pageSize = Math.max(1, Number(pagination.pageSize) || DEFAULT_PAGINATION.pageSize);
+        this.pagination.serverSide = Boolean(pagination.serverSide && this.config.INVENTORY_SHEET_ID && this.config.APPS_SCRIPT_URL);
+    }
+
+    /**
+     * Load the product list and show its first page.
+     * With server-side pagination only the requested page is fetched; when the backend cannot
+     * page, the whole inventory is loaded and paged in the browser.
+     */
+    async loadProducts() {
+        await this.configReady;
+
+        if (this.pagination.serverSide) {
+            try {
+                await this.showPage(1);
+                // The low stock count in the header covers the whole inventory, not just the first page
+                this.getStockProducts().catch(error => console.error('Failed to load stock levels:', error));
+                return;
+            } catch (error) {
+                console.warn('Server-side pagination unavailable, loading the full inventory:', error.message);
+                this.pagination.serverSide = false;
+            }
+        }
+
+        this.inventory = await this.getInventory();
+        await this.showPage(1);
+    }
+
+    /**
+     * Fetch one page of products from the Apps Script WebApp
+     * @param {Object} params - { page, limit, category, search }
+     * @returns {Promise<Object>} { products, total }
+     */
+    async fetchInventoryPage(params) {
+        const query = new URLSearchParams({ action: 'getInventory', sheetId: this.config.INVENTORY_SHEET_ID });
+        Object.keys(params).forEach(key => {
+            if (params[key] !== undefined && params[key] !== null && params[key] !== '') query.set(key, params[key]);
+        });
+
+        const data = await fetchJson(`${this.config.APPS_SCRIPT_URL}?${query}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.config.SECRET_KEY}`
+            }
+        });
+        if (!Array.isArray(data.products) || data.total === undefined) {
+            throw new Error('getInventory did not return a page');
+        }
+        return { products: data.products, total: Number(data.total) || 0 };
+    }
+
+    /**
+     * Change the product grid query and show the first page of the result.
+     * Category, text, in-stock-only and price range all apply together.
+     * @param {Object} changes - Any of { category, text, inStockOnly, minPrice, maxPrice }
+     */
+    setQuery(changes) {
+        this.query = { ...this.query, ...changes };
+        this.showPage(1).catch(error => console.error('Failed to load products:', error));
+    }
+
+    /**
+     * Show a page of the products matching the current query
+     * @param {number} page - 1-based page number, clamped to the available pages
+     */
+    async showPage(page) {
+        const request = ++this.pageRequest;
+        const pageSize = this.pagination.pageSize;
+        let products;
+        let total;
+
+        if (this.pagination.serverSide) {
+            const result = await this.fetchInventoryPage({
+                page,
+                limit: pageSize,
+                category: [].concat(this.query.category || []).join(','),
+                search: this.query.text,
+                inStock: this.query.inStockOnly ? 1 : null,
+                minPrice: this.query.minPrice,
+                maxPrice: this.query.maxPrice
+            });
+            if (request !== this.pageRequest) return;
+            products = result.products;
+            total = result.total;
+            this.mergeInventory(products);
+        } else {
+            const matches = ProductSearch.filter(this.inventory, this.query, product => this.getAvailableStock(product));
+            total = matches.length;
+            page = Math.min(Math.max(1, page), Math.max(1, Math.ceil(total / pageSize)));
+            products = matches.slice((page - 1) * pageSize, page * pageSize);
+        }
+
+        this.pagination.page = page;
+        this.pagination.total = total;
+        this.renderProducts(products);
+        this.renderPagination();
+    }
+
+    /**
+     * Every product with its stock, for the low stock and reorder lists.
+     * With server-side pagination only the fetched pages are loaded, so the stock of the whole inventory
+     * is read through the getStockLevels action (product rows as getInventory returns them).
+     * @returns {Promise<Object>} { products, complete } - complete is false when the backend could not be
+     *   reached and only the loaded pages are known
+     */
+    async getStockProducts() {
+        await this.configReady;
+        if (!this.pagination.serverSide) {
+            return { products: this.inventory, complete: true };
+        }
+
         try {
-            const response = await fetch('config.json');
-            this.config = await response.json();
-            console.log('Configuration loaded:', this.config);
+            const query = new URLSearchParams({ action: 'getStockLevels', sheetId: this.config.INVENTORY_SHEET_ID });
+            const data = await fetchJson(`${this.config.APPS_SCRIPT_URL}?${query}`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.config.SECRET_KEY}`
+                }
+            });
+            if (!Array.isArray(data.products)) {
+                throw new Error('getStockLevels did not return products');
+            }
+            this.stockLevels = data.products;
+            this.updateStockLabels();
+            return { products: this.getKnownStockProducts(), complete: true };
         } catch (error) {
-            console.error('Failed to load configuration:', error);
-            // Fallback to default config
-            this.config = {
-                INVENTORY_SHEET_ID: '',
-                FINANCE_SHEET_ID: '',
-                APPS_SCRIPT_URL: '',
-                SECRET_KEY: ''
-            };
+            console.warn('Stock levels unavailable, using the loaded products:', error.message);
+            return { products: this.getKnownStockProducts(), complete: false };
+        }
+    }
+
+    /**
+     * Products known to this till: the last getStockLevels result with the loaded products in place
+     * of their rows, since those carry this till's latest stock; just the loaded products before that
+     * @returns {Array<Object>}
+     */
+    getKnownStockProducts() {
+        if (!this.stockLevels) return this.inventory;
+
+        const known = this.stockLevels.map(row => this.inventory.find(product => product.id === row.id) || row);
+        this.inventory.forEach(product => {
+            if (!this.stockLevels.some(row => row.id === product.id)) known.push(product);
+        });
+        return known;
+    }
+
+    /**
+     * Keep products of fetched pages, so cart lines and stock labels find them after paging on
+     * @param {Array<Object>} products
+     */
+    mergeInventory(products) {
+        products.forEach(product => {
+            const index = this.inventory.findIndex(p => p.id === product.id);
+            if (index === -1) {
+                this.inventory.push(product);
+            } else {
+                this.inventory[index] = product;
+            }
+        });
+    }
+
+    /**
+     * @returns {number} Number of pages for the current query
+     */
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.pagination.total / this.pagination.pageSize));
+    }
+
+    /**
+     * Render the entry count and the page buttons: first/prev, the pages around the current one
+     * with the first and last page, next/last
+     */
+    renderPagination() {
+        const info = document.getElementById('paginationInfo');
+        const controls = document.getElementById('paginationControls');
+        if (!info || !controls) return;
+
+        const { page, pageSize, total } = this.pagination;
+        const pageCount = this.getPageCount();
+        const from = total === 0 ? 0 : (page - 1) * pageSize + 1;
+        const to = Math.min(page * pageSize, total);
+        info.textContent = `Showing ${from} to ${to} of ${total} entries`;
+
+        const pages = [];
+        for (let n = 1; n <= pageCount; n++) {
+            if (n === 1 || n === pageCount || Math.abs(n - page) <= 2) {
+                pages.push(n);
+            } else if (pages[pages.length - 1] !== '...') {
+                pages.push('...');
+            }
         }
+
+        const button = (target, label, disabled) =>
+            `<button class="page-btn" data-page="${target}" ${disabled ? 'disabled' : ''}>${label}</button>`;
+
+        controls.innerHTML = [
+            button('first', '&lt;&lt;', page === 1),
+            button('prev', '&lt;', page === 1),
+            ...pages.map(n => n === '...'
+                ? '<span class="page-ellipsis">...</span>'
+                : `<button class="page-btn ${n === page ? 'active' : ''}" data-page="${n}">${n}</button>`),
+            button('next', '&gt;', page === pageCount),
+            button('last', '&gt;&gt;', page === pageCount)
+        ].join('');
     }
 
     /**
@@ -38,6 +279,8 @@ class InventoryService {
      * @returns {Promise<Array>} Array of product objects
      */
     async getInventory() {
+        await this.configReady;
+
         try {
             // If Google Sheets API is configured, use it
             if (this.config.INVENTORY_SHEET_ID && this.config.APPS_SCRIPT_URL) {
@@ -59,19 +302,13 @@ class InventoryService {
     async fetchFromGoogleSheets() {
         const url = `${this.config.APPS_SCRIPT_URL}?action=getInventory&sheetId=${this.config.INVENTORY_SHEET_ID}`;
         
-        const response = await fetch(url, {
+        const data = await fetchJson(url, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${this.config.SECRET_KEY}`
             }
         });
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const data = await response.json();
         return data.products || [];
     }
 
@@ -79,6 +316,7 @@ class InventoryService {
      * Fetch inventory from CSV file or Google Sheets
      */
     async fetchFromCSV() {
+        await this.columnMappingReady;
         try {
             // Try Google Sheets first
             const googleSheetsUrl = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQeQzTtU6TzJRvBH3hy2kyedHOa4-sl6LkuEgLSr3qx3awtYZm1_rbzuB5BXJg3h9Oa-ZwWODhkKxfI/pub?gid=0&single=true&output=csv';
@@ -99,76 +337,173 @@ class InventoryService {
     }
 
     /**
-     * Parse CSV data into product objects
+     * Parse CSV data into product objects.
+     * Rows that cannot be used are skipped and listed in this.csvReport.rejected.
+     * @param {string} csvText - Raw CSV text
+     * @returns {Array} Array of product objects
      */
     parseCSV(csvText) {
-        const lines = csvText.split('\n');
-        const headers = lines[0].split(',').map(h => h.trim());
+        const { rows, delimiter, errors } = this.tokenizeCSV(csvText);
         const products = [];
+        const rejected = [...errors];
 
-        for (let i = 1; i < lines.length; i++) {
-            if (lines[i].trim()) {
-                const values = lines[i].split(',').map(v => v.trim());
-                const product = {};
-                
-                headers.forEach((header, index) => {
-                    const value = values[index] || '';
-                    switch (header.toLowerCase()) {
-                        case 'sku':
-                        case 'id':
-                            product.id = value;
-                            break;
-                        case 'nama_item':
-                        case 'name':
-                        case 'product_name':
-                            product.name = value;
-                            break;
-                        case 'harga_jual':
-                        case 'price':
-                            product.price = parseFloat(value) || 0;
-                            break;
-                        case 'kategori':
-                        case 'category':
-                            product.category = value;
-                            break;
-                        case 'satuan':
-                        case 'weight':
-                        case 'unit':
-                            product.weight = value;
-                            break;
-                        case 'image':
-                        case 'image_url':
-                            product.image = value;
-                            break;
-                        case 'jumlah':
-                        case 'stock':
-                        case 'quantity':
-                            product.stock = parseInt(value) || 0;
-                            break;
-                        case 'harga_beli':
-                            product.costPrice = parseFloat(value) || 0;
-                            break;
-                        case 'nama_vendor':
-                            product.vendor = value;
-                            break;
-                        default:
-                            product[header.toLowerCase()] = value;
-                    }
-                });
-                
-                if (product.id && product.name) {
-                    // Set default image if not provided
-                    if (!product.image) {
-                        product.image = `Asset/assets/img/products/${product.id}.png`;
-                    }
-                    products.push(product);
+        if (rows.length === 0) {
+            this.csvReport = { delimiter, accepted: 0, rejected };
+            return products;
+        }
+
+        const headers = rows[0].fields.map(h => h.trim());
+        const mapping = this.getColumnMapping();
+
+        for (let i = 1; i < rows.length; i++) {
+            const { fields: values, line } = rows[i];
+
+            // Skip blank lines
+            if (values.every(v => !v.trim())) continue;
+
+            if (values.length !== headers.length) {
+                rejected.push({ line, reason: `Expected ${headers.length} columns, found ${values.length}` });
+                continue;
+            }
+
+            const product = {};
+            const invalid = [];
+            headers.forEach((header, index) => {
+                const value = (values[index] || '').trim();
+                const field = mapping.resolve(header);
+                if (field) {
+                    const error = mapping.validate(field, value);
+                    if (error) invalid.push(`${header}: ${error}`);
+                    product[field] = mapping.coerce(field, value);
+                } else {
+                    product[header.toLowerCase()] = value;
                 }
+            });
+
+            if (invalid.length > 0) {
+                rejected.push({ line, reason: invalid.join('; ') });
+                continue;
+            }
+            if (!product.id) {
+                rejected.push({ line, reason: 'Missing SKU/ID' });
+                continue;
+            }
+            if (!product.name) {
+                rejected.push({ line, reason: `Missing name for ${product.id}` });
+                continue;
+            }
+
+            // Set default image if not provided
+            if (!product.image) {
+                product.image = `Asset/assets/img/products/${product.id}.png`;
             }
+            products.push(product);
+        }
+
+        this.csvReport = { delimiter, accepted: products.length, rejected };
+        if (rejected.length > 0) {
+            console.warn(`CSV import: ${rejected.length} row(s) rejected`, rejected);
         }
 
         return products;
     }
 
+    /**
+     * Sheet header → product field mapping from config.json (COLUMN_MAPPING)
+     * @returns {ColumnMapping}
+     */
+    getColumnMapping() {
+        if (!this.columnMapping) {
+            this.columnMapping = ColumnMapping.fromConfig(this.config);
+        }
+        return this.columnMapping;
+    }
+
+    /**
+     * Split CSV text into rows of fields (RFC 4180).
+     * Handles quoted fields, escaped quotes (""), line breaks inside quotes,
+     * CRLF/LF/CR line endings, a leading BOM and comma or semicolon delimiters.
+     * @param {string} csvText - Raw CSV text
+     * @returns {Object} { rows: [{ fields, line }], delimiter, errors: [{ line, reason }] }
+     */
+    tokenizeCSV(csvText) {
+        const text = (csvText || '').replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(text);
+        const rows = [];
+        const errors = [];
+
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let rowLine = 1;
+        let i = 0;
+
+        const endRow = () => {
+            fields.push(field);
+            rows.push({ fields, line: rowLine });
+            fields = [];
+            field = '';
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i += 2;
+                        continue;
+                    }
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '"' && field.trim() === '') {
+                // Opening quote; whitespace before it is not part of the value
+                field = '';
+                inQuotes = true;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+            i++;
+        }
+
+        if (inQuotes) {
+            errors.push({ line: rowLine, reason: 'Unterminated quoted field' });
+        } else if (field !== '' || fields.length > 0) {
+            endRow();
+        }
+
+        return { rows, delimiter, errors };
+    }
+
+    /**
+     * Detect the delimiter from the header line: semicolon for locale exports
+     * (e.g. Excel with Indonesian regional settings), comma otherwise
+     * @param {string} text - CSV text without BOM
+     * @returns {string} ',' or ';'
+     */
+    detectDelimiter(text) {
+        const headerLine = text.split(/\r\n|\n|\r/, 1)[0] || '';
+        const count = (char) => headerLine.split(char).length - 1;
+        return count(';') > count(',') ? ';' : ',';
+    }
+
     /**
      * Fallback inventory data when external sources fail
      */
@@ -180,6 +515,8 @@ class InventoryService {
                 price: 165000,
                 category: 'semen',
                 weight: '55Kg / 1 Karung',
+                baseUnit: 'Karung',
+                units: 'Palet=40@6400000',
                 image: 'Asset/assets/img/products/semen-padang.png',
                 stock: 50
             },
@@ -189,6 +526,7 @@ class InventoryService {
                 price: 135000,
                 category: 'semen',
                 weight: '55Kg / 1 Karung',
+                baseUnit: 'Karung',
                 image: 'Asset/assets/img/products/semen-tiga-roda.png',
                 stock: 30
             },
@@ -198,6 +536,7 @@ class InventoryService {
                 price: 115000,
                 category: 'semen',
                 weight: '55Kg / 1 Karung',
+                baseUnit: 'Karung',
                 image: 'Asset/assets/img/products/semen-baturaja.png',
                 stock: 25
             },
@@ -207,6 +546,7 @@ class InventoryService {
                 price: 105000,
                 category: 'semen',
                 weight: '55Kg / 1 Karung',
+                baseUnit: 'Karung',
                 image: 'Asset/assets/img/products/semen-rajawali.png',
                 stock: 40
             },
@@ -216,6 +556,7 @@ class InventoryService {
                 price: 125000,
                 category: 'semen',
                 weight: '55Kg / 1 Karung',
+                baseUnit: 'Karung',
                 image: 'Asset/assets/img/products/semen-gresik.png',
                 stock: 35
             },
@@ -225,6 +566,7 @@ class InventoryService {
                 price: 145000,
                 category: 'semen',
                 weight: '55Kg / 1 Karung',
+                baseUnit: 'Karung',
                 image: 'Asset/assets/img/products/semen-holcim.png',
                 stock: 20
             },
@@ -234,6 +576,7 @@ class InventoryService {
                 price: 155000,
                 category: 'semen',
                 weight: '55Kg / 1 Karung',
+                baseUnit: 'Karung',
                 image: 'Asset/assets/img/products/semen-indocement.png',
                 stock: 15
             },
@@ -243,6 +586,8 @@ class InventoryService {
                 price: 2500,
                 category: 'batu-bata',
                 weight: '1 Pcs',
+                baseUnit: 'Pcs',
+                units: 'Seribu=1000@2300000',
                 image: 'Asset/assets/img/products/batu-bata-merah.png',
                 stock: 1000
             },
@@ -252,6 +597,7 @@ class InventoryService {
                 price: 15000,
                 category: 'genteng',
                 weight: '1 Pcs',
+                baseUnit: 'Pcs',
                 image: 'Asset/assets/img/products/genteng-beton.png',
                 stock: 200
             },
@@ -261,6 +607,7 @@ class InventoryService {
                 price: 450000,
                 category: 'pintu',
                 weight: '1 Unit',
+                baseUnit: 'Unit',
                 image: 'Asset/assets/img/products/pintu-kayu.png',
                 stock: 10
             }
@@ -278,21 +625,19 @@ class InventoryService {
             return;
         }
 
-        this.inventory = productList;
-        
         productsGrid.innerHTML = productList.map(product => `
-            <div class="product-card" data-product="${product.id}">
+            <div class="product-card" data-product="${escapeHtml(product.id)}">
                 <div class="product-image">
-                    <img src="${product.image}" alt="${product.name}" onerror="this.style.display='none'; this.nextElementSibling.style.display='block';">
+                    <img src="${escapeHtml(product.image)}" alt="${escapeHtml(product.name)}" onerror="this.style.display='none'; this.nextElementSibling.style.display='block';">
                     <div class="image-placeholder" style="display: none;">
-                        <div class="placeholder-text">${product.name}<br>Image</div>
+                        <div class="placeholder-text">${escapeHtml(product.name)}<br>Image</div>
                     </div>
                 </div>
                 <div class="product-info">
-                    <h4 class="product-name">${product.name}</h4>
+                    <h4 class="product-name">${escapeHtml(product.name)}</h4>
                     <div class="product-price">Rp ${this.formatPrice(product.price)}</div>
-                    <div class="product-weight">${product.weight}</div>
-                    ${product.stock !== undefined ? `<div class="product-stock">Stok: ${product.stock}</div>` : ''}
+                    <div class="product-weight">${escapeHtml(product.weight)}</div>
+                    ${product.stock !== undefined ? `<div class="product-stock">Stok: ${this.getAvailableStock(product)}</div>` : ''}
                 </div>
             </div>
         `).join('');
@@ -309,22 +654,34 @@ class InventoryService {
     /**
      * Add product to cart
      * @param {string} sku - Product SKU/ID
+     * @returns {Promise<boolean>} false when the product is unknown or a needed backorder approval was refused
      */
-    addToCart(sku) {
+    async addToCart(sku) {
         const product = this.inventory.find(p => p.id === sku);
         if (!product) {
             console.error('Product not found:', sku);
             return false;
         }
 
-        // Check if product is already in cart
+        // Check if product is already in cart; a new line starts in the base unit
         const existingItem = this.cart.find(item => item.id === sku);
+        const quantity = (existingItem ? existingItem.quantity : 0) + 1;
+        const unit = UnitOfMeasure.findUnit(product, existingItem ? existingItem.unit : null);
+
+        const approval = await this.checkStock(product, quantity * unit.factor);
+        if (!approval.allowed) return false;
+
         if (existingItem) {
-            existingItem.quantity += 1;
+            existingItem.quantity = quantity;
+            if (approval.backorderApprovedBy) existingItem.backorderApprovedBy = approval.backorderApprovedBy;
         } else {
             this.cart.push({
                 ...product,
-                quantity: 1
+                price: unit.price,
+                unit: unit.unit,
+                unitFactor: unit.factor,
+                quantity: 1,
+                backorderApprovedBy: approval.backorderApprovedBy || null
             });
         }
 
@@ -332,6 +689,57 @@ class InventoryService {
         return true;
     }
 
+    /**
+     * Check a cart quantity against the stock on hand.
+     * Selling more than is on hand (backorder) needs supervisor approval.
+     * @param {Object} product - Inventory product
+     * @param {number} quantity - Requested cart quantity in the base unit
+     * @returns {Promise<Object>} { allowed, backorderApprovedBy }
+     */
+    async checkStock(product, quantity) {
+        // Products without a stock figure are not tracked
+        if (product.stock === undefined || quantity <= product.stock) {
+            return { allowed: true };
+        }
+
+        const cartItem = this.cart.find(item => item.id === product.id);
+        if (cartItem && cartItem.backorderApprovedBy) {
+            return { allowed: true, backorderApprovedBy: cartItem.backorderApprovedBy };
+        }
+
+        const baseUnit = UnitOfMeasure.baseUnitOf(product);
+        const message = `Stok ${product.name} tersisa ${Math.max(0, product.stock)} ${baseUnit}. Jual ${quantity} ${baseUnit} sebagai backorder?`;
+        if (typeof this.approvalHandler !== 'function') {
+            alert(`Stok ${product.name} tidak mencukupi (tersisa ${Math.max(0, product.stock)}).`);
+            return { allowed: false };
+        }
+
+        const approver = await this.approvalHandler(message, 'cart.backorder');
+        if (!approver) return { allowed: false };
+
+        return { allowed: true, backorderApprovedBy: approver };
+    }
+
+    /**
+     * Stock left for sale after what is already in the cart
+     * @param {Object} product - Inventory product
+     * @returns {number|undefined} Undefined when the product has no stock figure
+     */
+    getAvailableStock(product) {
+        if (product.stock === undefined) return undefined;
+        const cartItem = this.cart.find(item => item.id === product.id);
+        return product.stock - (cartItem ? this.getBaseQuantity(cartItem) : 0);
+    }
+
+    /**
+     * Quantity of a cart line in the product's base unit
+     * @param {Object} item - Cart item
+     * @returns {number}
+     */
+    getBaseQuantity(item) {
+        return item.quantity * (item.unitFactor || 1);
+    }
+
     /**
      * Select product (adds to cart automatically)
      * @param {string} productId - Product ID
@@ -345,8 +753,17 @@ class InventoryService {
             }
         });
 
-        // Add to cart
-        this.addToCart(productId);
+        // Add to cart; keep the card unselected when it was not added
+        this.addToCart(productId)
+            .then(added => {
+                if (added) return;
+                const card = document.querySelector(`.product-card[data-product="${CSS.escape(productId)}"]`);
+                if (card) card.classList.remove('selected');
+            })
+            .catch(error => {
+                console.error('Failed to add product to cart:', error);
+                alert('Gagal menambahkan produk: ' + error.message);
+            });
     }
 
     /**
@@ -365,27 +782,32 @@ class InventoryService {
         const totalItems = this.cart.reduce((sum, item) => sum + item.quantity, 0);
         cartBadge.textContent = totalItems;
 
+        const cartCustomer = document.getElementById('cartCustomer');
+        if (cartCustomer) cartCustomer.textContent = this.customer ? this.customer.name : 'Umum';
+
+        const canChangePrice = this.can('cart.changePrice');
+
         // Update cart content
         if (this.cart.length === 0) {
             cartContent.innerHTML = '<div class="empty-cart">Keranjang kosong</div>';
         } else {
             cartContent.innerHTML = this.cart.map(item => `
-                <div class="cart-item" data-product="${item.id}">
+                <div class="cart-item" data-product="${escapeHtml(item.id)}">
                     <div class="cart-item-info">
-                        <div class="cart-item-name">${item.name}</div>
-                        <div class="cart-item-price">Rp ${this.formatPrice(item.price)}</div>
-                        <div class="cart-item-unit">/ ${(() => {
-                            const weightText = item.weight || '';
-                            if (weightText.includes(' / ')) {
-                                return weightText.split(' / ')[1];
-                            }
-                            return weightText || 'Unit';
-                        })()}</div>
+                        <div class="cart-item-name">${escapeHtml(item.name)}</div>
+                        ${item.backorderApprovedBy ? '<div class="cart-item-backorder">Backorder</div>' : ''}
+                        ${canChangePrice
+                            ? `<button class="cart-item-price editable" data-sku="${escapeHtml(item.id)}" title="Ubah harga">Rp ${this.formatPrice(item.price)}</button>`
+                            : `<div class="cart-item-price">Rp ${this.formatPrice(item.price)}</div>`}
+                        ${this.renderUnitControl(item)}
+                        ${item.discount
+                            ? `<button class="cart-item-discount active" data-sku="${escapeHtml(item.id)}" title="Ubah diskon">Diskon ${this.formatDiscount(item.discount)} (${escapeHtml(item.discount.reasonLabel)})</button>`
+                            : `<button class="cart-item-discount" data-sku="${escapeHtml(item.id)}">+ Diskon</button>`}
                     </div>
                     <div class="cart-item-controls">
-                        <button class="quantity-btn" data-action="decrease" data-sku="${item.id}">-</button>
+                        <button class="quantity-btn" data-action="decrease" data-sku="${escapeHtml(item.id)}">-</button>
                         <span class="quantity-display">${item.quantity}</span>
-                        <button class="quantity-btn" data-action="increase" data-sku="${item.id}">+</button>
+                        <button class="quantity-btn" data-action="increase" data-sku="${escapeHtml(item.id)}">+</button>
                     </div>
                 </div>
             `).join('');
@@ -398,10 +820,61 @@ class InventoryService {
                     this.updateQuantity(sku, action);
                 });
             });
+
+            // Bind unit selection events
+            cartContent.querySelectorAll('.cart-item-unit-select').forEach(select => {
+                select.addEventListener('change', (e) => this.changeUnit(e.currentTarget.dataset.sku, e.currentTarget.value));
+            });
+
+            // Bind line discount events
+            cartContent.querySelectorAll('.cart-item-discount').forEach(btn => {
+                btn.addEventListener('click', (e) => this.editDiscount(e.currentTarget.dataset.sku));
+            });
+
+            // Bind price override events (supervisor only)
+            cartContent.querySelectorAll('.cart-item-price.editable').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    const sku = e.currentTarget.dataset.sku;
+                    const cartItem = this.cart.find(item => item.id === sku);
+                    const input = prompt(`Harga baru untuk ${cartItem.name}:`, cartItem.price);
+                    if (input === null) return;
+
+                    const newPrice = Number(String(input).replace(/[^0-9]/g, ''));
+                    if (!newPrice) {
+                        alert('Harga tidak valid');
+                        return;
+                    }
+                    this.changePrice(sku, newPrice);
+                });
+            });
         }
 
         // Update order summary
         this.updateOrderSummary();
+        this.updateStockLabels();
+    }
+
+    /**
+     * Refresh the stock shown on product cards (stock on hand minus what is in the cart)
+     */
+    updateStockLabels() {
+        document.querySelectorAll('.product-card').forEach(card => {
+            const product = this.inventory.find(p => p.id === card.dataset.product);
+            const stockEl = card.querySelector('.product-stock');
+            if (!product || !stockEl || product.stock === undefined) return;
+
+            const available = this.getAvailableStock(product);
+            stockEl.textContent = `Stok: ${available}`;
+            stockEl.classList.toggle('out-of-stock', available <= 0);
+            stockEl.classList.toggle('low-stock', available > 0 && StockAlerts.isLow(product));
+        });
+
+        const lowStatus = document.getElementById('lowStockStatus');
+        if (lowStatus) {
+            const count = StockAlerts.lowStock(this.getKnownStockProducts()).length;
+            document.getElementById('lowStockCount').textContent = count;
+            lowStatus.style.display = count > 0 ? 'flex' : 'none';
+        }
     }
 
     /**
@@ -409,12 +882,17 @@ class InventoryService {
      * @param {string} sku - Product SKU
      * @param {string} action - 'increase' or 'decrease'
      */
-    updateQuantity(sku, action) {
+    async updateQuantity(sku, action) {
         const cartItem = this.cart.find(item => item.id === sku);
         if (!cartItem) return;
 
         if (action === 'increase') {
+            const product = this.inventory.find(p => p.id === sku) || cartItem;
+            const approval = await this.checkStock(product, (cartItem.quantity + 1) * (cartItem.unitFactor || 1));
+            if (!approval.allowed) return;
+
             cartItem.quantity += 1;
+            if (approval.backorderApprovedBy) cartItem.backorderApprovedBy = approval.backorderApprovedBy;
         } else if (action === 'decrease') {
             cartItem.quantity -= 1;
             if (cartItem.quantity <= 0) {
@@ -426,135 +904,1135 @@ class InventoryService {
     }
 
     /**
-     * Update order summary display
+     * Override the price of a cart line (supervisor only)
+     * @param {string} sku - Product SKU
+     * @param {number} newPrice - New unit price
      */
-    updateOrderSummary() {
-        const subTotal = this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const taxAmount = Math.round(subTotal * 0.11); // 11% PPN
-        const total = subTotal + taxAmount;
-        const itemCount = this.cart.reduce((sum, item) => sum + item.quantity, 0);
+    changePrice(sku, newPrice) {
+        this.requirePermission('cart.changePrice');
 
-        // Update DOM elements
-        const subTotalEl = document.getElementById('subTotal');
-        const taxAmountEl = document.getElementById('taxAmount');
-        const totalAmountEl = document.getElementById('totalAmount');
-        const itemCountEl = document.getElementById('itemCount');
+        const cartItem = this.cart.find(item => item.id === sku);
+        if (!cartItem) return;
 
-        if (subTotalEl) subTotalEl.textContent = `Rp ${this.formatPrice(subTotal)}`;
-        if (taxAmountEl) taxAmountEl.textContent = `Rp ${this.formatPrice(taxAmount)}`;
-        if (totalAmountEl) totalAmountEl.textContent = `Rp ${this.formatPrice(total)}`;
-        if (itemCountEl) itemCountEl.textContent = `${itemCount} Item`;
+        if (cartItem.originalPrice === undefined) {
+            cartItem.originalPrice = cartItem.price;
+        }
+        cartItem.price = newPrice;
+        cartItem.priceChangedBy = this.accessControl.getCashier();
+
+        this.updateCartDisplay();
     }
 
     /**
-     * Process checkout and save transaction via Apps Script WebApp
-     * @param {Array} cart - Cart items array
+     * Discount reason codes, from DISCOUNT_REASONS in config.json
+     * @returns {Array<Object>} [{ code, label }]
      */
-    async checkout(cart) {
-        if (!cart || cart.length === 0) {
-            throw new Error('Cart is empty');
-        }
+    getDiscountReasons() {
+        return (this.config && this.config.DISCOUNT_REASONS) || DEFAULT_DISCOUNT_REASONS;
+    }
 
-        if (!this.config.APPS_SCRIPT_URL) {
-            throw new Error('Apps Script URL not configured');
-        }
+    /**
+     * Ask for a discount on a cart line, or on the whole order when no SKU is given
+     * @param {string} [sku] - Product SKU
+     */
+    async editDiscount(sku) {
+        if (!this.discountHandler) return;
 
-        const transaction = {
-            timestamp: new Date().toISOString(),
-            items: cart.map(item => ({
-                sku: item.id,
-                name: item.name,
-                price: item.price,
-                quantity: item.quantity,
-                total: item.price * item.quantity
-            })),
-            subtotal: cart.reduce((sum, item) => sum + (item.price * item.quantity), 0),
-            tax: Math.round(cart.reduce((sum, item) => sum + (item.price * item.quantity), 0) * this.taxRate),
-            total: cart.reduce((sum, item) => sum + (item.price * item.quantity), 0) + Math.round(cart.reduce((sum, item) => sum + (item.price * item.quantity), 0) * this.taxRate),
-            status: 'pending'
-        };
+        const cartItem = sku ? this.cart.find(item => item.id === sku) : null;
+        if (sku && !cartItem) return;
+        if (!sku && this.cart.length === 0) return;
+
+        const totals = this.getOrderTotals();
+        const discount = await this.discountHandler({
+            title: cartItem ? cartItem.name : 'Seluruh pesanan',
+            base: cartItem ? this.getLineTotals(cartItem).gross : totals.subtotal - totals.lineDiscount,
+            discount: cartItem ? cartItem.discount : this.orderDiscount,
+            reasons: this.getDiscountReasons()
+        });
+        if (discount === null) return;
 
         try {
-            const response = await fetch(this.config.APPS_SCRIPT_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.config.SECRET_KEY}`
-                },
-                body: JSON.stringify({
-                    action: 'saveTransaction',
-                    data: transaction,
-                    sheetId: this.config.FINANCE_SHEET_ID
-                })
-            });
+            await this.applyDiscount(sku, discount);
+        } catch (error) {
+            alert(`Diskon tidak dapat diterapkan: ${error.message}`);
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+    /**
+     * Set or remove a discount. Users without the cart.discount permission need a supervisor's approval.
+     * @param {string|null} sku - Product SKU, or null for the whole order
+     * @param {Object|false} discount - { type: 'percent'|'amount', value, reason }, or false to remove it
+     * @returns {Promise<boolean>} Whether the discount was changed
+     */
+    async applyDiscount(sku, discount) {
+        const cartItem = sku ? this.cart.find(item => item.id === sku) : null;
+        if (sku && !cartItem) return false;
 
-            const result = await response.json();
-            
-            if (result.success) {
-                // Clear cart after successful checkout
-                this.cart = [];
-                this.updateCartDisplay();
-                return result;
-            } else {
-                throw new Error(result.error || 'Checkout failed');
-            }
+        if (!discount) {
+            if (cartItem) delete cartItem.discount;
+            else this.orderDiscount = null;
+            this.updateCartDisplay();
+            return true;
+        }
 
-        } catch (error) {
-            console.error('Checkout failed:', error);
-            throw error;
+        const reason = this.getDiscountReasons().find(r => r.code === discount.reason);
+        const value = Number(discount.value);
+        if (!['percent', 'amount'].includes(discount.type)) {
+            throw new Error(`Unknown discount type: ${discount.type}`);
+        }
+        if (!(value > 0) || (discount.type === 'percent' && value > 100)) {
+            throw new Error('Invalid discount value');
         }
+        if (!reason) {
+            throw new Error('A discount reason is required');
+        }
+
+        const target = cartItem ? cartItem.name : 'seluruh pesanan';
+        const approvedBy = this.can('cart.discount')
+            ? this.accessControl.getCashier()
+            : await (this.approvalHandler
+                ? this.approvalHandler(`Diskon ${this.formatDiscount({ type: discount.type, value })} untuk ${target} (${reason.label}) perlu persetujuan supervisor.`, 'cart.discount')
+                : null);
+        if (!approvedBy) return false;
+
+        const record = { type: discount.type, value, reason: reason.code, reasonLabel: reason.label, approvedBy };
+        if (cartItem) cartItem.discount = record;
+        else this.orderDiscount = record;
+
+        this.updateCartDisplay();
+        return true;
     }
 
     /**
-     * Format price with Indonesian number format
-     * @param {number} price - Price to format
-     * @returns {string} Formatted price string
+     * Amount taken off by a discount
+     * @param {Object|null} discount - { type, value }
+     * @param {number} base - Amount the discount applies to
+     * @returns {number}
      */
-    formatPrice(price) {
-        return new Intl.NumberFormat('id-ID').format(price);
+    getDiscountAmount(discount, base) {
+        if (!discount || base <= 0) return 0;
+        const amount = discount.type === 'percent'
+            ? Math.round(base * discount.value / 100)
+            : discount.value;
+        return Math.min(amount, base);
+    }
+
+    formatDiscount(discount) {
+        return discount.type === 'percent' ? `${discount.value}%` : `Rp ${this.formatPrice(discount.value)}`;
     }
 
     /**
-     * Filter products by category
-     * @param {string} category - Category to filter by
+     * Totals of a cart line
+     * @param {Object} item - Cart item
+     * @returns {Object} { gross, discount, net }
      */
-    filterByCategory(category) {
-        const filteredProducts = this.inventory.filter(product => 
-            product.category === category
-        );
-        this.renderProducts(filteredProducts);
+    getLineTotals(item) {
+        const gross = item.price * item.quantity;
+        const discount = this.getDiscountAmount(item.discount, gross);
+        return { gross, discount, net: gross - discount };
     }
 
     /**
-     * Search products by name or category
-     * @param {string} query - Search query
+     * Check a permission of the logged-in user
+     * @param {string} permission - Permission key
+     * @returns {boolean}
      */
-    searchProducts(query) {
-        const filteredProducts = this.inventory.filter(product => 
-            product.name.toLowerCase().includes(query.toLowerCase()) ||
-            product.category.toLowerCase().includes(query.toLowerCase())
-        );
-        this.renderProducts(filteredProducts);
+    can(permission) {
+        return Boolean(this.accessControl && this.accessControl.can(permission));
     }
 
     /**
-     * Get cart items
-     * @returns {Array} Cart items array
+     * Throw AccessDeniedError unless the logged-in user has a permission
+     * @param {string} permission - Permission key
      */
-    getCart() {
-        return this.cart;
+    requirePermission(permission) {
+        if (!this.accessControl) {
+            throw new AccessDeniedError(permission);
+        }
+        this.accessControl.require(permission);
     }
 
     /**
-     * Clear cart
+     * Unit of a cart line: a selector when the product is sold in several units
+     * @param {Object} item - Cart item
+     * @returns {string} HTML
      */
-    clearCart() {
-        this.cart = [];
+    renderUnitControl(item) {
+        const product = this.inventory.find(p => p.id === item.id) || item;
+        const units = UnitOfMeasure.getUnits(product);
+        if (units.length < 2) {
+            return `<div class="cart-item-unit">/ ${escapeHtml(item.unit || UnitOfMeasure.baseUnitOf(product))}</div>`;
+        }
+
+        const baseUnit = units[0].unit;
+        return `
+            <select class="cart-item-unit-select" data-sku="${escapeHtml(item.id)}" aria-label="Satuan">
+                ${units.map(unit => `
+                    <option value="${escapeHtml(unit.unit)}" ${unit.unit === item.unit ? 'selected' : ''}>/ ${escapeHtml(UnitOfMeasure.describe(unit, baseUnit))}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    /**
+     * Sell a cart line in another unit. The quantity is kept, the unit price follows the unit
+     * and a price override on the old unit is dropped.
+     * @param {string} sku - Product SKU
+     * @param {string} unitName - Unit to sell in
+     */
+    async changeUnit(sku, unitName) {
+        const cartItem = this.cart.find(item => item.id === sku);
+        if (!cartItem) return;
+
+        const product = this.inventory.find(p => p.id === sku) || cartItem;
+        const unit = UnitOfMeasure.findUnit(product, unitName);
+        const approval = await this.checkStock(product, cartItem.quantity * unit.factor);
+        if (approval.allowed) {
+            cartItem.unit = unit.unit;
+            cartItem.unitFactor = unit.factor;
+            cartItem.price = unit.price;
+            delete cartItem.originalPrice;
+            delete cartItem.priceChangedBy;
+            if (approval.backorderApprovedBy) cartItem.backorderApprovedBy = approval.backorderApprovedBy;
+        }
+
+        this.updateCartDisplay();
+    }
+
+    /**
+     * Calculate order totals. Line discounts apply first, the order discount to what remains,
+     * and tax is computed by the tax engine on the discounted amounts.
+     * @param {Array} [cart] - Cart items, defaults to the current cart
+     * @param {Object} [orderDiscount] - Order discount, defaults to the current one
+     * @returns {Object} { subtotal, lineDiscount, orderDiscount, discount, taxBase, tax, taxLines, taxBreakdown, total, itemCount }
+     */
+    getOrderTotals(cart = this.cart, orderDiscount = this.orderDiscount) {
+        const lines = cart.map(item => this.getLineTotals(item));
+        const subtotal = lines.reduce((sum, line) => sum + line.gross, 0);
+        const lineDiscount = lines.reduce((sum, line) => sum + line.discount, 0);
+        const orderDiscountAmount = this.getDiscountAmount(orderDiscount, subtotal - lineDiscount);
+        const itemCount = cart.reduce((sum, item) => sum + item.quantity, 0);
+
+        const taxes = this.taxEngine.calculate(cart.map((item, index) => ({
+            amount: lines[index].net,
+            taxCategory: this.taxEngine.getProductCategory(item)
+        })), orderDiscountAmount);
+
+        return {
+            subtotal,
+            lineDiscount,
+            orderDiscount: orderDiscountAmount,
+            discount: lineDiscount + orderDiscountAmount,
+            taxBase: taxes.base,
+            tax: taxes.tax,
+            taxLines: taxes.lines,
+            taxBreakdown: taxes.breakdown,
+            total: taxes.total,
+            itemCount
+        };
+    }
+
+    /**
+     * Update order summary display
+     */
+    updateOrderSummary() {
+        const { subtotal: subTotal, discount, tax: taxAmount, taxBreakdown, total, itemCount } = this.getOrderTotals();
+
+        // Update DOM elements
+        const subTotalEl = document.getElementById('subTotal');
+        const taxAmountEl = document.getElementById('taxAmount');
+        const totalAmountEl = document.getElementById('totalAmount');
+        const itemCountEl = document.getElementById('itemCount');
+
+        if (subTotalEl) subTotalEl.textContent = `Rp ${this.formatPrice(subTotal)}`;
+        if (taxAmountEl) taxAmountEl.textContent = `Rp ${this.formatPrice(taxAmount)}`;
+        if (totalAmountEl) totalAmountEl.textContent = `Rp ${this.formatPrice(total)}`;
+        if (itemCountEl) itemCountEl.textContent = `${itemCount} Item`;
+
+        const taxRateEl = document.getElementById('taxRate');
+        if (taxRateEl) taxRateEl.textContent = this.taxEngine.describe(taxBreakdown);
+
+        const discountEl = document.getElementById('discountAmount');
+        const orderDiscountBtn = document.getElementById('orderDiscountBtn');
+        if (discountEl) discountEl.textContent = `- Rp ${this.formatPrice(discount)}`;
+        if (orderDiscountBtn) {
+            orderDiscountBtn.textContent = this.orderDiscount
+                ? `${this.formatDiscount(this.orderDiscount)} (${this.orderDiscount.reasonLabel})`
+                : '+ Diskon';
+            orderDiscountBtn.classList.toggle('active', Boolean(this.orderDiscount));
+        }
+    }
+
+    /**
+     * Process checkout: record the transaction in the offline outbox and try to deliver it.
+     * Without IndexedDB support the transaction is sent directly.
+     * @param {Array} cart - Cart items array
+     * @param {Object} [options]
+     * @param {string} [options.trxNumber] - Transaction number, used to deduplicate deliveries
+     * @param {Array<Object>} [options.payments] - Tender lines, see buildPayments
+     * @param {string} [options.dueDate] - Due date of the pay-later part
+     * @param {Object} [options.creditApprovedBy] - Supervisor who allowed exceeding the credit limit
+     * @returns {Promise<Object>} { success, trxNumber, queued, payments, change, transaction }
+     */
+    async checkout(cart, options = {}) {
+        if (!cart || cart.length === 0) {
+            throw new Error('Cart is empty');
+        }
+
+        const { subtotal, discount, orderDiscount, taxBase, tax, taxLines, taxBreakdown, total } = this.getOrderTotals(cart);
+        const payments = options.payments ? this.buildPayments(options.payments, total) : [];
+        const onCredit = payments.some(payment => payment.method === 'credit');
+        if (onCredit && !this.customer) {
+            throw new Error('A customer is required for pay-later sales');
+        }
+        const change = payments.reduce((sum, line) => sum + line.change, 0);
+
+        // Cost of goods sold at the products' current average cost
+        const costs = cart.map((item, index) => {
+            const product = this.inventory.find(p => p.id === item.id) || item;
+            return CostEngine.lineCost(CostEngine.unitCost(product), this.getBaseQuantity(item), taxLines[index].base);
+        });
+        const costed = costs.filter(line => line.cost !== null);
+
+        const transaction = {
+            trxNumber: options.trxNumber || this.generateLocalTrxNumber(),
+            timestamp: new Date().toISOString(),
+            items: cart.map((item, index) => ({
+                sku: item.id,
+                name: item.name,
+                category: item.category || null,
+                price: item.price,
+                originalPrice: item.originalPrice !== undefined ? item.originalPrice : item.price,
+                priceChangedBy: item.priceChangedBy || null,
+                quantity: item.quantity,
+                unit: item.unit || UnitOfMeasure.baseUnitOf(item),
+                unitFactor: item.unitFactor || 1,
+                baseQuantity: this.getBaseQuantity(item),
+                discount: item.discount
+                    ? { ...item.discount, amount: this.getLineTotals(item).discount }
+                    : null,
+                total: this.getLineTotals(item).net,
+                taxCategory: taxLines[index].taxCategory,
+                taxRate: taxLines[index].rate,
+                taxBase: taxLines[index].base,
+                tax: taxLines[index].tax,
+                unitCost: costs[index].unitCost,
+                cost: costs[index].cost,
+                margin: costs[index].margin
+            })),
+            subtotal: subtotal,
+            orderDiscount: this.orderDiscount ? { ...this.orderDiscount, amount: orderDiscount } : null,
+            discount: discount,
+            pricesIncludeTax: Boolean(this.taxEngine.settings.pricesIncludeTax),
+            taxBase: taxBase,
+            tax: tax,
+            taxBreakdown: taxBreakdown,
+            total: total,
+            // Over the lines with a known cost only
+            cost: costed.reduce((sum, line) => sum + line.cost, 0),
+            grossMargin: costed.reduce((sum, line) => sum + line.margin, 0),
+            payments: payments,
+            amountPaid: payments.reduce((sum, line) => sum + line.amountTendered, 0),
+            change: change,
+            customer: this.customer,
+            dueDate: onCredit ? options.dueDate || null : null,
+            creditApprovedBy: onCredit ? options.creditApprovedBy || null : null,
+            cashier: this.accessControl ? this.accessControl.getCashier() : null,
+            till: this.terminal,
+            status: 'pending'
+        };
+
+        try {
+            const result = await this.submitTransaction(transaction);
+            // The sale is recorded (locally at least), so the cart can be cleared even if delivery failed
+            this.decrementStock(cart, transaction.trxNumber);
+            this.clearCart();
+            return {
+                success: true,
+                trxNumber: transaction.trxNumber,
+                queued: result.queued,
+                payments: payments,
+                change: change,
+                transaction: transaction
+            };
+        } catch (error) {
+            console.error('Checkout failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Validate the tender lines of a sale and compute change.
+     * Non-cash tenders are charged for their exact amount and may not exceed the total;
+     * cash covers the rest, and only cash gives change.
+     * @param {Array<Object>} tenders - [{ method: 'cash'|'qris'|'edc', amount, amountTendered, edcReference }]
+     * @param {number} total - Amount due
+     * @returns {Array<Object>} Payment lines saved with the transaction
+     *   [{ method, amount, amountTendered, change, edcReference }], amount being the part applied to the total
+     */
+    buildPayments(tenders, total) {
+        if (!Array.isArray(tenders) || tenders.length === 0) {
+            throw new Error('At least one payment is required');
+        }
+
+        tenders.forEach(tender => {
+            if (!['cash', 'qris', 'edc', 'credit'].includes(tender.method)) {
+                throw new Error(`Unknown payment method: ${tender.method}`);
+            }
+            if (tender.method === 'edc' && !String(tender.edcReference || '').trim()) {
+                throw new Error('EDC reference number is required');
+            }
+        });
+
+        const nonCashTotal = tenders
+            .filter(tender => tender.method !== 'cash')
+            .reduce((sum, tender) => sum + (Number(tender.amount) || 0), 0);
+        if (nonCashTotal > total) {
+            throw new Error('Non-cash payments exceed the total');
+        }
+
+        let cashDue = total - nonCashTotal;
+        const payments = tenders.map(tender => {
+            if (tender.method === 'cash') {
+                const amountTendered = Number(tender.amountTendered) || 0;
+                const amount = Math.min(amountTendered, cashDue);
+                cashDue -= amount;
+                return { method: 'cash', amount, amountTendered, change: amountTendered - amount, edcReference: null };
+            }
+
+            const amount = Number(tender.amount) || 0;
+            if (amount <= 0) {
+                throw new Error('Payment amount must be greater than zero');
+            }
+            return {
+                method: tender.method,
+                amount,
+                amountTendered: amount,
+                change: 0,
+                edcReference: tender.method === 'edc' ? String(tender.edcReference).trim() : null
+            };
+        });
+
+        if (cashDue > 0) {
+            throw new Error('Amount tendered is less than total');
+        }
+        return payments;
+    }
+
+    /**
+     * Reduce stock for a completed sale, locally right away and in the inventory sheet
+     * through the `decrementStock` action (queued like the transaction itself)
+     * @param {Array} cart - Sold cart items
+     * @param {string} trxNumber - Transaction number of the sale
+     */
+    decrementStock(cart, trxNumber) {
+        const stockBefore = {};
+        const stockUpdate = {
+            trxNumber: trxNumber,
+            timestamp: new Date().toISOString(),
+            sheetId: this.config.INVENTORY_SHEET_ID,
+            recordedBy: this.accessControl ? this.accessControl.getCashier() : null,
+            items: cart.map(item => {
+                const product = this.inventory.find(p => p.id === item.id);
+                const expectedStock = product ? product.stock : undefined;
+                if (product && product.stock !== undefined) {
+                    if (!(product.id in stockBefore)) stockBefore[product.id] = product.stock;
+                    product.stock -= this.getBaseQuantity(item);
+                }
+                return {
+                    sku: item.id,
+                    // Stock is kept in the base unit
+                    quantity: this.getBaseQuantity(item),
+                    // Stock this till saw before the sale, so the backend can detect concurrent sales
+                    expectedStock: expectedStock,
+                    backorder: Boolean(item.backorderApprovedBy)
+                };
+            })
+        };
+
+        this.recordMovements(stockUpdate.items.map(item => ({ sku: item.sku, quantity: -item.quantity })), {
+            type: 'sale',
+            reference: trxNumber
+        });
+        this.updateStockLabels();
+
+        const fellLow = this.inventory.filter(product =>
+            product.id in stockBefore && !StockAlerts.isLow(product, stockBefore[product.id]) && StockAlerts.isLow(product));
+        if (fellLow.length > 0 && this.onLowStock) {
+            this.onLowStock(fellLow);
+        }
+
+        this.submitTransaction(stockUpdate, 'decrementStock')
+            .catch(error => console.error('Failed to record stock decrement:', error));
+    }
+
+    /**
+     * Add goods received from a vendor to the stock and blend their cost into the products' average cost
+     * @param {Object} receipt - Goods receipt from PurchaseService.receiveGoods; quantities and costs per base unit
+     */
+    incrementStock(receipt) {
+        const stockUpdate = {
+            trxNumber: receipt.receiptNumber,
+            timestamp: receipt.receivedAt,
+            sheetId: this.config.INVENTORY_SHEET_ID,
+            recordedBy: receipt.receivedBy || null,
+            items: receipt.items.map(item => {
+                const product = this.inventory.find(p => p.id === item.sku);
+                const expectedStock = product ? product.stock : undefined;
+                const averageCost = CostEngine.movingAverage(
+                    expectedStock,
+                    CostEngine.unitCost(product),
+                    item.quantity,
+                    item.unitCost
+                );
+                if (product) {
+                    if (product.stock !== undefined) product.stock += item.quantity;
+                    product.costPrice = averageCost;
+                }
+                return {
+                    sku: item.sku,
+                    quantity: item.quantity,
+                    unitCost: item.unitCost,
+                    // Written back to the harga_beli column
+                    averageCost: averageCost,
+                    expectedStock: expectedStock
+                };
+            })
+        };
+
+        this.recordMovements(stockUpdate.items.map(item => ({ sku: item.sku, quantity: item.quantity })), {
+            type: 'purchase',
+            reference: receipt.receiptNumber,
+            reason: `${receipt.poNumber} · ${receipt.vendor}`,
+            user: receipt.receivedBy
+        });
+        this.updateStockLabels();
+        this.submitTransaction(stockUpdate, 'incrementStock')
+            .catch(error => console.error('Failed to record stock increment:', error));
+    }
+
+    /**
+     * Append stock movements to the ledger, with the stock each product is left with
+     * @param {Array<Object>} lines - [{ sku, quantity }], quantity signed in base units and already applied to the stock
+     * @param {Object} details - { type, reference, reason, user }
+     * @returns {Array<Object>} Recorded movements
+     */
+    recordMovements(lines, details) {
+        const user = details.user || (this.accessControl ? this.accessControl.getCashier() : null);
+        return this.stockLedger.record(lines.map(line => {
+            const product = this.inventory.find(p => p.id === line.sku);
+            return {
+                sku: line.sku,
+                type: details.type,
+                quantity: line.quantity,
+                balance: product && product.stock !== undefined ? product.stock : null,
+                location: details.location,
+                reference: details.reference,
+                reason: details.reason,
+                user
+            };
+        }));
+    }
+
+    /**
+     * Correct stock by hand: a count difference, a customer return or a transfer between locations
+     * @param {Array<Object>} lines - [{ sku, quantity }], quantity signed in base units
+     * @param {Object} options - { type: adjustment | return | transfer, reason, reference, location }; a transfer
+     *   needs the location the goods come from (positive quantity) or go to (negative quantity)
+     * @returns {Promise<Object>} { reference, movements, queued }
+     */
+    async adjustStock(lines, options) {
+        this.requirePermission('stock.adjust');
+        return this.postAdjustment(lines, options);
+    }
+
+    async postAdjustment(lines, options) {
+        const type = options.type || 'adjustment';
+        if (!['adjustment', 'return', 'transfer'].includes(type)) {
+            throw new Error(`Stock cannot be adjusted as ${type}`);
+        }
+        const reason = String(options.reason || '').trim();
+        if (!reason) {
+            throw new Error('Alasan penyesuaian stok wajib diisi');
+        }
+        const location = String(options.location || '').trim();
+        if (type === 'transfer' && !location) {
+            throw new Error('Lokasi asal/tujuan transfer wajib diisi');
+        }
+        const changes = lines.filter(line => Number(line.quantity) !== 0 && !isNaN(Number(line.quantity)));
+        if (changes.length === 0) {
+            throw new Error('Isi jumlah perubahan stok');
+        }
+
+        const reference = options.reference || RecordId.create('ADJ-');
+        const stockUpdate = {
+            trxNumber: reference,
+            timestamp: new Date().toISOString(),
+            sheetId: this.config.INVENTORY_SHEET_ID,
+            type,
+            reason,
+            location: type === 'transfer' ? location : null,
+            recordedBy: this.accessControl.getCashier(),
+            items: changes.map(line => {
+                const product = this.inventory.find(p => p.id === line.sku);
+                if (!product) {
+                    throw new Error(`Product not found: ${line.sku}`);
+                }
+                return { sku: line.sku, quantity: Number(line.quantity), expectedStock: product.stock };
+            })
+        };
+
+        stockUpdate.items.forEach(item => {
+            const product = this.inventory.find(p => p.id === item.sku);
+            product.stock = (product.stock || 0) + item.quantity;
+        });
+        const movements = this.recordMovements(stockUpdate.items, { type, reference, reason, location: stockUpdate.location });
+        this.updateStockLabels();
+
+        const result = await this.submitTransaction(stockUpdate, 'adjustStock');
+        return { reference, movements, queued: result.queued };
+    }
+
+    /**
+     * Stock card of a product, newest movement first
+     * @param {string} sku
+     * @returns {Array<Object>}
+     */
+    getStockCard(sku) {
+        return this.stockLedger.forProduct(sku);
+    }
+
+    /**
+     * Start a stock opname (physical count)
+     * @param {string|null} category - Count only this category, or everything
+     * @returns {Object} Opname in progress
+     */
+    startOpname(category) {
+        this.requirePermission('stock.opname');
+        if (this.stockLedger.getOpname()) {
+            throw new Error('Masih ada stock opname yang belum selesai');
+        }
+
+        const opname = {
+            number: RecordId.create('SO-'),
+            category: category || null,
+            startedAt: new Date().toISOString(),
+            startedBy: this.accessControl.getCashier(),
+            counts: {}
+        };
+        this.stockLedger.saveOpname(opname);
+        return opname;
+    }
+
+    getOpname() {
+        return this.stockLedger.getOpname();
+    }
+
+    /**
+     * Products of the opname in progress with their system stock, the counted quantity and the variance.
+     * A counted product's system stock is its snapshot from when the count was entered.
+     * @returns {Array<Object>} [{ product, system, counted, variance }], counted and variance null until counted
+     */
+    getOpnameLines() {
+        const opname = this.stockLedger.getOpname();
+        if (!opname) return [];
+
+        return this.inventory
+            .filter(product => product.stock !== undefined && (!opname.category || product.category === opname.category))
+            .map(product => {
+                const count = opname.counts[product.id];
+                if (!count) {
+                    return { product, system: product.stock, counted: null, variance: null };
+                }
+                return { product, system: count.snapshot, counted: count.counted, variance: count.counted - count.snapshot };
+            });
+    }
+
+    /**
+     * Keep a counted quantity with the system stock at this moment, which is what the shelf was counted against
+     * @param {string} sku
+     * @param {number|null} counted - Counted quantity in base units, or null to clear the count
+     */
+    setOpnameCount(sku, counted) {
+        const opname = this.stockLedger.getOpname();
+        if (!opname) return;
+
+        const product = this.inventory.find(p => p.id === sku);
+        if (counted === null || isNaN(counted) || !product) {
+            delete opname.counts[sku];
+        } else {
+            opname.counts[sku] = { counted: Math.max(0, counted), snapshot: product.stock };
+        }
+        this.stockLedger.saveOpname(opname);
+    }
+
+    /**
+     * Post the variances of the counted products as stock adjustments and close the opname.
+     * Each variance is the count against the stock snapshot taken when it was entered, so sales and
+     * receipts between the count and the posting stay on the books.
+     * @returns {Promise<Object>} { number, counted, adjusted, queued }
+     */
+    async postOpname() {
+        this.requirePermission('stock.opname');
+        const opname = this.stockLedger.getOpname();
+        if (!opname) {
+            throw new Error('No stock opname in progress');
+        }
+
+        const counted = this.getOpnameLines().filter(line => line.counted !== null);
+        if (counted.length === 0) {
+            throw new Error('Belum ada barang yang dihitung');
+        }
+        const variances = counted.filter(line => line.variance !== 0);
+
+        let queued = false;
+        if (variances.length > 0) {
+            const result = await this.postAdjustment(
+                variances.map(line => ({ sku: line.product.id, quantity: line.variance })),
+                { type: 'adjustment', reason: `Stock opname ${opname.number}`, reference: opname.number }
+            );
+            queued = result.queued;
+        }
+        this.stockLedger.saveOpname(null);
+        return { number: opname.number, counted: counted.length, adjusted: variances.length, queued };
+    }
+
+    cancelOpname() {
+        this.stockLedger.saveOpname(null);
+    }
+
+    /**
+     * Apply authoritative stock levels returned by the backend after a stock update.
+     * Expected response: { stock: { sku: level }, conflicts: [{ sku, requested, available }] }
+     * @param {Object} result - Apps Script response
+     */
+    applyStockResult(result) {
+        const levels = result.stock || {};
+        Object.keys(levels).forEach(sku => {
+            const product = this.inventory.find(p => p.id === sku);
+            if (product) product.stock = Number(levels[sku]);
+        });
+        this.updateStockLabels();
+
+        const conflicts = result.conflicts || [];
+        if (conflicts.length > 0) {
+            console.warn('Stock conflicts reported by backend:', conflicts);
+            if (typeof this.onStockConflict === 'function') {
+                this.onStockConflict(conflicts.map(conflict => ({
+                    ...conflict,
+                    name: (this.inventory.find(p => p.id === conflict.sku) || {}).name || conflict.sku
+                })));
+            }
+        }
+    }
+
+    /**
+     * Void a completed transaction (supervisor only)
+     * @param {string} trxNumber - Transaction number to void
+     * @param {string} reason - Why the sale is voided
+     * @returns {Promise<Object>} { success, trxNumber, queued, sale }
+     */
+    async voidTransaction(trxNumber, reason) {
+        this.requirePermission('sale.void');
+
+        if (!trxNumber) {
+            throw new Error('Transaction number is required');
+        }
+
+        const sale = await this.findSale(trxNumber);
+        if (!sale) {
+            throw new Error(`Transaksi ${trxNumber} tidak ditemukan di kasir ini`);
+        }
+        if (sale.status === 'void') {
+            throw new Error(`Transaksi ${trxNumber} sudah dibatalkan`);
+        }
+
+        const voidRecord = {
+            trxNumber: trxNumber,
+            timestamp: new Date().toISOString(),
+            reason: reason || '',
+            voidedBy: this.accessControl.getCashier()
+        };
+
+        const result = await this.submitTransaction(voidRecord, 'voidTransaction');
+
+        // Put the sold goods back on the shelf; the sale number is the reference of the return
+        const lines = (sale.items || [])
+            .filter(item => this.inventory.some(product => product.id === item.sku && product.stock !== undefined))
+            .map(item => ({ sku: item.sku, quantity: item.baseQuantity !== undefined ? item.baseQuantity : item.quantity }));
+        if (lines.length > 0) {
+            await this.postAdjustment(lines, { type: 'return', reason: `Void ${trxNumber}: ${reason || '-'}`, reference: trxNumber });
+        }
+
+        return { success: true, trxNumber: trxNumber, queued: result.queued, sale };
+    }
+
+    /**
+     * Find a sale made on this till: in the local outbox, or else asked from the backend
+     * (`getTransaction` action) for sales the outbox no longer keeps
+     * @param {string} trxNumber
+     * @returns {Promise<Object|null>} The sale, with status 'void' when it was voided; null when it is
+     *   unknown or belongs to another till
+     */
+    async findSale(trxNumber) {
+        const records = await this.getLocalTransactions();
+        const local = records.find(record => record.trxNumber === trxNumber && (record.action || 'saveTransaction') === 'saveTransaction');
+        if (local) {
+            const voided = records.some(record => record.action === 'voidTransaction' && record.data.trxNumber === trxNumber);
+            return { ...local.data, status: voided ? 'void' : local.data.status };
+        }
+
+        await this.configReady;
+        if (!this.config.APPS_SCRIPT_URL) return null;
+
+        const data = await fetchJson(`${this.config.APPS_SCRIPT_URL}?action=getTransaction&trxNumber=${encodeURIComponent(trxNumber)}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.config.SECRET_KEY}`
+            }
+        });
+        const sale = data.transaction || null;
+        if (!sale || !sale.till || !this.terminal || sale.till.tillId !== this.terminal.tillId) {
+            return null;
+        }
+        return sale;
+    }
+
+    /**
+     * Record data in the offline outbox and try to deliver it.
+     * Without IndexedDB support the data is sent directly.
+     * @param {Object} data - Payload carrying a trxNumber
+     * @param {string} [action] - Apps Script action
+     * @returns {Promise<Object>} { queued } - queued is true while delivery is still pending
+     */
+    async submitTransaction(data, action = 'saveTransaction') {
+        if (!this.transactionQueue) {
+            await this.sendTransaction(data, action);
+            return { queued: false };
+        }
+
+        await this.transactionQueue.enqueue(data, action, this.authToken);
+        await this.transactionQueue.flush();
+
+        const record = await this.transactionQueue.get(TransactionQueue.recordKey(data.trxNumber, action));
+        return { queued: !record || record.status !== 'synced' };
+    }
+
+    /**
+     * Get transactions kept in the local outbox (delivered or pending)
+     * @returns {Promise<Array>} Outbox records
+     */
+    async getLocalTransactions() {
+        if (!this.transactionQueue) return [];
+        return this.transactionQueue.getAll();
+    }
+
+    /**
+     * Get records the backend rejected, which wait for someone to retry or discard them
+     * @returns {Promise<Array>} Outbox records
+     */
+    async getFailedTransactions() {
+        if (!this.transactionQueue) return [];
+        return this.transactionQueue.getFailed();
+    }
+
+    /**
+     * Send a rejected record again
+     * @param {string} key - Outbox record key
+     */
+    async retryFailedTransaction(key) {
+        if (this.transactionQueue) await this.transactionQueue.retry(key);
+    }
+
+    /**
+     * Drop a rejected record from the outbox
+     * @param {string} key - Outbox record key
+     */
+    async discardFailedTransaction(key) {
+        if (this.transactionQueue) await this.transactionQueue.discard(key);
+    }
+
+    /**
+     * Sales recorded on this till that were not voided
+     * @returns {Promise<Array<Object>>} Transactions
+     */
+    async getCompletedSales() {
+        const records = await this.getLocalTransactions();
+        const voided = new Set(records
+            .filter(record => record.action === 'voidTransaction')
+            .map(record => record.data.trxNumber));
+        return records
+            .filter(record => (record.action || 'saveTransaction') === 'saveTransaction' && !voided.has(record.data.trxNumber))
+            .map(record => record.data);
+    }
+
+    /**
+     * Completed sales of the last days for reports.
+     * The backend keeps the full history (getSales action, every till of the store); sales still
+     * waiting in this till's outbox are added. Without the backend only the outbox is left, which
+     * keeps delivered sales for a limited time, so `from` says where the covered range starts.
+     * @param {number} days - Days back from today, today included
+     * @returns {Promise<Object>} { transactions, from: Date, source: 'backend'|'local' }
+     */
+    async getSalesHistory(days) {
+        await this.configReady;
+        const since = new Date();
+        since.setHours(0, 0, 0, 0);
+        since.setDate(since.getDate() - (days - 1));
+
+        const local = await this.getCompletedSales();
+        const inRange = (transaction) => new Date(transaction.timestamp) >= since;
+
+        if (this.config.APPS_SCRIPT_URL) {
+            try {
+                const query = new URLSearchParams({ action: 'getSales', since: since.toISOString(), sheetId: this.config.FINANCE_SHEET_ID });
+                const data = await fetchJson(`${this.config.APPS_SCRIPT_URL}?${query}`, {
+                    method: 'GET',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${this.config.SECRET_KEY}`
+                    }
+                });
+                if (!Array.isArray(data.transactions)) {
+                    throw new Error('getSales did not return a list');
+                }
+
+                const remote = data.transactions.filter(transaction => transaction.status !== 'void');
+                const known = new Set(data.transactions.map(transaction => transaction.trxNumber));
+                const pending = local.filter(transaction => !known.has(transaction.trxNumber));
+                return { transactions: [...remote, ...pending].filter(inRange), from: since, source: 'backend' };
+            } catch (error) {
+                console.warn('Sales history unavailable, using the sales kept on this till:', error.message);
+            }
+        }
+
+        const retention = this.transactionQueue ? this.transactionQueue.syncedRetention : 0;
+        const kept = new Date(Date.now() - retention);
+        return {
+            transactions: local.filter(inRange),
+            from: kept > since ? kept : since,
+            source: 'local'
+        };
+    }
+
+    /**
+     * Send data to the Apps Script WebApp.
+     * The session token goes with it: the backend verifies the token and rejects actions the user's
+     * role does not hold (e.g. voidTransaction without sale.void, or a sale with a changed price
+     * without cart.changePrice), so the permission checks in the till are not the only ones.
+     * @param {Object} transaction - Payload
+     * @param {string} [action] - Apps Script action, defaults to saveTransaction
+     * @param {string|null} [token] - Session token of the user who made the record
+     * @returns {Promise<Object>} Apps Script response
+     */
+    async sendTransaction(transaction, action = 'saveTransaction', token = this.authToken) {
+        await this.configReady;
+
+        if (!this.config.APPS_SCRIPT_URL) {
+            throw new Error('Apps Script URL not configured');
+        }
+
+        // fetchJson times out a hanging network, so the outbox can retry and checkout is not left waiting
+        const result = await fetchJson(this.config.APPS_SCRIPT_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.config.SECRET_KEY}`
+            },
+            body: JSON.stringify({
+                action: action,
+                data: transaction,
+                token: token,
+                sheetId: this.config.FINANCE_SHEET_ID
+            })
+        });
+
+        if (!result.success) {
+            // The code (e.g. session_expired, invalid_data) tells the outbox whether retrying can help
+            const error = new Error(result.error || 'Checkout failed');
+            error.code = result.code || null;
+            throw error;
+        }
+
+        if (['decrementStock', 'incrementStock', 'adjustStock'].includes(action)) {
+            this.applyStockResult(result);
+        }
+        return result;
+    }
+
+    /**
+     * Generate a locally unique transaction number when none is supplied
+     * @returns {string} Transaction number
+     */
+    generateLocalTrxNumber() {
+        const random = Math.random().toString(36).slice(2, 8).toUpperCase();
+        return `LOCAL-${Date.now()}-${random}`;
+    }
+
+    /**
+     * Subscribe to the number of transactions waiting for sync
+     * @param {Function} listener - Called with the pending count and the count the backend rejected
+     */
+    onPendingSyncChange(listener) {
+        if (!this.transactionQueue) {
+            listener(0, 0);
+            return;
+        }
+        this.transactionQueue.onChange(listener);
+        this.transactionQueue.notify();
+    }
+
+    /**
+     * Format price with Indonesian number format
+     * @param {number} price - Price to format
+     * @returns {string} Formatted price string
+     */
+    formatPrice(price) {
+        return new Intl.NumberFormat('id-ID').format(price);
+    }
+
+    /**
+     * Filter products by category, keeping the other filters
+     * @param {string|string[]|null} category - Category, or a category with its subcategories; null for all
+     */
+    filterByCategory(category) {
+        this.setQuery({ category: category || null });
+    }
+
+    /**
+     * Find the product for a scanned code: its barcode column (several codes may be separated
+     * by commas) or, failing that, its SKU.
+     * With server-side pagination only the fetched pages are loaded, so a code that is not among
+     * them is looked up through getInventory (code=...), which matches the same columns.
+     * @param {string} code - Scanned or typed code
+     * @returns {Promise<Object|null>} Product
+     */
+    async findByCode(code) {
+        const value = String(code).trim().toLowerCase();
+        if (!value) return null;
+
+        const matches = product => String(product.barcode || '')
+            .split(/[,;]/)
+            .some(barcode => barcode.trim().toLowerCase() === value);
+        const local = this.inventory.find(matches)
+            || this.inventory.find(product => String(product.id).toLowerCase() === value);
+        if (local || !this.pagination.serverSide) return local || null;
+
+        const result = await this.fetchInventoryPage({ code: String(code).trim(), page: 1, limit: 1 });
+        const product = result.products.find(matches)
+            || result.products.find(p => String(p.id).toLowerCase() === value);
+        if (!product) return null;
+
+        this.mergeInventory([product]);
+        return product;
+    }
+
+    /**
+     * Search products by name, SKU or vendor within the selected category, tolerating typos
+     * @param {string} query - Search query
+     */
+    searchProducts(query) {
+        this.setQuery({ text: query });
+    }
+
+    /**
+     * Get cart items
+     * @returns {Array} Cart items array
+     */
+    getCart() {
+        return this.cart;
+    }
+
+    /**
+     * Clear cart
+     */
+    clearCart() {
+        this.cart = [];
+        this.orderDiscount = null;
+        this.customer = null;
+        this.updateCartDisplay();
+    }
+
+    /**
+     * Attach a customer to the current sale
+     * @param {Object|null} customer - Customer record, or null for a walk-in sale
+     */
+    setCustomer(customer) {
+        this.customer = customer ? { id: customer.id, name: customer.name, phone: customer.phone || '' } : null;
+        this.updateCartDisplay();
+    }
+
+    /**
+     * Put the current sale on hold and start an empty cart
+     * @param {string} name - Customer or reference the sale is parked under
+     * @param {string} [note]
+     * @returns {Object} Parked entry
+     */
+    parkCart(name, note) {
+        this.requirePermission('sale.create');
+        if (this.cart.length === 0) {
+            throw new Error('Keranjang kosong');
+        }
+
+        const entry = this.parkedSales.park({
+            name,
+            note,
+            cart: this.cart,
+            orderDiscount: this.orderDiscount,
+            customer: this.customer,
+            parkedBy: this.accessControl.getCashier()
+        });
+        this.clearCart();
+        return entry;
+    }
+
+    /**
+     * Bring a parked sale back into the (empty) cart.
+     * Stock is not reserved while a sale is parked, so lines that no longer fit the stock on hand are reported.
+     * @param {string} id - Parked entry ID
+     * @returns {Object} { entry, shortages: [{ name, requested, available }] }
+     */
+    recallCart(id) {
+        this.requirePermission('sale.create');
+        if (this.cart.length > 0) {
+            throw new Error('Keranjang masih berisi barang');
+        }
+
+        const entry = this.parkedSales.take(id);
+        if (!entry) {
+            throw new Error('Transaksi yang ditahan tidak ditemukan');
+        }
+
+        this.cart = entry.cart;
+        this.orderDiscount = entry.orderDiscount || null;
+        this.customer = entry.customer || null;
         this.updateCartDisplay();
+
+        const shortages = this.cart
+            .map(item => ({ item, product: this.inventory.find(p => p.id === item.id) }))
+            .filter(({ item, product }) => product && product.stock !== undefined
+                && !item.backorderApprovedBy && this.getAvailableStock(product) < 0)
+            .map(({ item, product }) => ({
+                name: item.name,
+                requested: this.getBaseQuantity(item),
+                available: Math.max(0, product.stock)
+            }));
+        return { entry, shortages };
+    }
+
+    /**
+     * @returns {Array<Object>} Parked sales of this till, oldest first
+     */
+    getParkedSales() {
+        return this.parkedSales.list();
+    }
+
+    /**
+     * @param {string} id - Parked entry ID
+     */
+    discardParkedSale(id) {
+        this.parkedSales.remove(id);
     }
 }
 
@@ -0,0 +1,74 @@
+/**
+ * Parked Sales - Carts put on hold while the cashier serves someone else
+ * Kept in localStorage of this till, so parked carts survive a reload
+ */
+
+const PARKED_SALES_STORAGE_KEY = 'miniERP.parkedSales';
+
+class ParkedSales {
+    /**
+     * Parked carts, oldest first
+     * @returns {Array<Object>} [{ id, name, note, cart, orderDiscount, customer, parkedBy, parkedAt }]
+     */
+    list() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(PARKED_SALES_STORAGE_KEY) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.error('Failed to read parked sales:', error);
+            return [];
+        }
+    }
+
+    save(entries) {
+        localStorage.setItem(PARKED_SALES_STORAGE_KEY, JSON.stringify(entries));
+    }
+
+    /**
+     * Park a cart
+     * @param {Object} sale - { name, note, cart, orderDiscount, customer, parkedBy }
+     * @returns {Object} Parked entry
+     */
+    park(sale) {
+        const entry = {
+            id: RecordId.create('P'),
+            name: sale.name,
+            note: sale.note || '',
+            cart: sale.cart,
+            orderDiscount: sale.orderDiscount || null,
+            customer: sale.customer || null,
+            parkedBy: sale.parkedBy || null,
+            parkedAt: new Date().toISOString()
+        };
+        this.save([...this.list(), entry]);
+        return entry;
+    }
+
+    /**
+     * Remove a parked cart and return it, for recalling it into the till
+     * @param {string} id
+     * @returns {Object|null} Parked entry
+     */
+    take(id) {
+        const entries = this.list();
+        const entry = entries.find(e => e.id === id) || null;
+        if (entry) this.save(entries.filter(e => e.id !== id));
+        return entry;
+    }
+
+    /**
+     * Discard a parked cart
+     * @param {string} id
+     */
+    remove(id) {
+        this.save(this.list().filter(e => e.id !== id));
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParkedSales;
+}
+
+// Global instance for direct usage
+window.ParkedSales = ParkedSales;
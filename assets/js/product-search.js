@@ -0,0 +1,185 @@
+/**
+ * Product Search - Query state of the product grid and typo-tolerant text matching
+ * Text is normalized for Indonesian product names: old spellings (djati → jati), reduplication
+ * (batu-batu → batu), thousand separators (1.000 → 1000) and common unit abbreviations
+ */
+
+const DEFAULT_PRODUCT_QUERY = {
+    category: null,
+    text: '',
+    inStockOnly: false,
+    minPrice: null,
+    maxPrice: null
+};
+
+// Pre-1972 spellings still found on labels and in sheets; applied to both sides of a match
+const OLD_SPELLINGS = [
+    [/dj/g, 'j'],
+    [/tj/g, 'c'],
+    [/nj/g, 'ny'],
+    [/sj/g, 'sy'],
+    [/oe/g, 'u']
+];
+
+// Unit words and their abbreviations
+const TOKEN_ALIASES = {
+    kilogram: 'kg',
+    kilo: 'kg',
+    zak: 'sak',
+    buah: 'pcs',
+    bh: 'pcs',
+    biji: 'pcs',
+    lembar: 'lbr',
+    batang: 'btg',
+    meter: 'm',
+    kubik: 'm3'
+};
+
+// Tokens of each product, computed once per product object
+const PRODUCT_TOKEN_CACHE = new WeakMap();
+
+class ProductSearch {
+    /**
+     * Lowercase, strip accents and punctuation and apply the Indonesian spelling rules
+     * @param {string} text
+     * @returns {string}
+     */
+    static normalize(text) {
+        let value = String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        value = value.replace(/(\d)[.,](?=\d{3}(?!\d))/g, '$1');
+        value = value.replace(/\b([a-z]+)-\1\b/g, '$1');
+        value = value.replace(/(\d)([a-z])/g, '$1 $2');
+        OLD_SPELLINGS.forEach(([pattern, replacement]) => {
+            value = value.replace(pattern, replacement);
+        });
+        return value.replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    /**
+     * @param {string} text
+     * @returns {string[]} Normalized words with unit aliases resolved
+     */
+    static tokenize(text) {
+        const normalized = ProductSearch.normalize(text);
+        return normalized ? normalized.split(' ').map(token => TOKEN_ALIASES[token] || token) : [];
+    }
+
+    /**
+     * Searchable words of a product: name, SKU, vendor, category and barcode
+     * @param {Object} product
+     * @returns {string[]}
+     */
+    static productTokens(product) {
+        if (!PRODUCT_TOKEN_CACHE.has(product)) {
+            const text = [product.name, product.id, product.vendor, product.category, product.barcode].filter(Boolean).join(' ');
+            PRODUCT_TOKEN_CACHE.set(product, ProductSearch.tokenize(text));
+        }
+        return PRODUCT_TOKEN_CACHE.get(product);
+    }
+
+    /**
+     * Products matching a query. With search text, the best matches come first;
+     * otherwise the inventory order is kept.
+     * @param {Array<Object>} products
+     * @param {Object} query - { category, text, inStockOnly, minPrice, maxPrice }; category may list several codes
+     * @param {Function} getAvailableStock - product => stock left to sell
+     * @returns {Array<Object>}
+     */
+    static filter(products, query, getAvailableStock) {
+        const settings = { ...DEFAULT_PRODUCT_QUERY, ...query };
+        const queryTokens = ProductSearch.tokenize(settings.text);
+        const categories = [].concat(settings.category || []);
+        const results = [];
+
+        products.forEach((product, index) => {
+            if (categories.length > 0 && !categories.includes(product.category)) return;
+            if (settings.inStockOnly && product.stock !== undefined && getAvailableStock(product) <= 0) return;
+            if (settings.minPrice !== null && product.price < settings.minPrice) return;
+            if (settings.maxPrice !== null && product.price > settings.maxPrice) return;
+
+            let score = 0;
+            if (queryTokens.length > 0) {
+                score = ProductSearch.score(queryTokens, ProductSearch.productTokens(product));
+                if (score === 0) return;
+            }
+            results.push({ product, score, index });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(result => result.product);
+    }
+
+    /**
+     * Every query word must match some product word
+     * @param {string[]} queryTokens
+     * @param {string[]} productTokens
+     * @returns {number} 0 when a word does not match, higher for closer matches
+     */
+    static score(queryTokens, productTokens) {
+        let total = 0;
+        for (const queryToken of queryTokens) {
+            const best = Math.max(0, ...productTokens.map(token => ProductSearch.tokenScore(queryToken, token)));
+            if (best === 0) return 0;
+            total += best;
+        }
+        return total;
+    }
+
+    /**
+     * @param {string} query - Query word
+     * @param {string} token - Product word
+     * @returns {number} 3 exact, 2 prefix, 1.5 substring, 1 or 0.5 within the typo allowance, else 0
+     */
+    static tokenScore(query, token) {
+        if (token === query) return 3;
+        if (token.startsWith(query)) return 2;
+        if (query.length >= 3 && token.includes(query)) return 1.5;
+
+        // Typos: one edit for words of 4-6 letters, two from 7; numbers must match exactly
+        const allowed = /^\d+$/.test(query) ? 0 : query.length >= 7 ? 2 : query.length >= 4 ? 1 : 0;
+        if (allowed === 0) return 0;
+        if (ProductSearch.distance(query, token, allowed) <= allowed) return 1;
+        if (token.length > query.length && ProductSearch.distance(query, token.slice(0, query.length), allowed) <= allowed) return 0.5;
+        return 0;
+    }
+
+    /**
+     * Edit distance counting adjacent swaps as one edit (optimal string alignment)
+     * @param {string} a
+     * @param {string} b
+     * @param {number} max - Stop early once the distance exceeds this
+     * @returns {number}
+     */
+    static distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+        return row[b.length];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductSearch;
+}
+
+// Global instance for direct usage
+window.ProductSearch = ProductSearch;
@@ -0,0 +1,264 @@
+/**
+ * Purchase Service - Purchase orders to vendors and the goods received against them
+ * Orders are kept on this device and delivered through the offline outbox (savePurchaseOrder,
+ * receiveGoods); a receipt may cover part of an order, which stays outstanding until fully received.
+ */
+
+const PURCHASE_ORDERS_STORAGE_KEY = 'miniERP.purchaseOrders';
+
+const PURCHASE_STATUS_LABELS = {
+    open: 'Dipesan',
+    partial: 'Diterima sebagian',
+    received: 'Diterima'
+};
+
+class PurchaseService {
+    constructor() {
+        this.config = null;
+        this.accessControl = null; // set by MiniERP after login
+        this.submit = null; // async (record, action) => result, delivers records through the offline outbox; set by MiniERP
+
+        this.configReady = this.loadConfig();
+    }
+
+    /**
+     * Load config.json and refresh the purchase orders from the backend
+     */
+    async loadConfig() {
+        this.config = await AppConfig.load();
+
+        await this.syncOrders();
+    }
+
+    /**
+     * Merge the purchase orders kept by the backend into the local list; orders not yet synced are kept
+     */
+    async syncOrders() {
+        if (!this.config.APPS_SCRIPT_URL) return;
+
+        try {
+            const data = await fetchJson(`${this.config.APPS_SCRIPT_URL}?action=getPurchaseOrders`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.config.SECRET_KEY}`
+                }
+            });
+            const orders = this.list();
+            (data.purchaseOrders || []).forEach(remote => {
+                const index = orders.findIndex(order => order.poNumber === remote.poNumber);
+                if (index === -1) {
+                    orders.push(remote);
+                } else {
+                    orders[index] = { ...orders[index], ...remote };
+                }
+            });
+            this.save(orders);
+        } catch (error) {
+            console.warn('Failed to refresh purchase orders, using the local list:', error.message);
+        }
+    }
+
+    /**
+     * @returns {Array<Object>} Purchase orders { poNumber, vendor, vendorId, items, note, status, total, createdAt, createdBy, receipts }
+     */
+    list() {
+        try {
+            const orders = JSON.parse(localStorage.getItem(PURCHASE_ORDERS_STORAGE_KEY) || '[]');
+            return Array.isArray(orders) ? orders : [];
+        } catch (error) {
+            console.error('Failed to read purchase orders:', error);
+            return [];
+        }
+    }
+
+    save(orders) {
+        localStorage.setItem(PURCHASE_ORDERS_STORAGE_KEY, JSON.stringify(orders));
+    }
+
+    /**
+     * @param {string} poNumber
+     * @returns {Object|null}
+     */
+    get(poNumber) {
+        return this.list().find(order => order.poNumber === poNumber) || null;
+    }
+
+    /**
+     * Orders still waiting for goods, oldest first
+     * @returns {Array<Object>}
+     */
+    getOutstanding() {
+        return this.list()
+            .filter(order => order.status !== 'received')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Vendors named in the inventory, for choosing who to order from
+     * @param {Array<Object>} products
+     * @returns {string[]}
+     */
+    static getVendors(products) {
+        return [...new Set(products.map(product => String(product.vendor || '').trim()).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b, 'id'));
+    }
+
+    /**
+     * Quantity of an order line still to be received
+     * @param {Object} item - Order line
+     * @returns {number}
+     */
+    static getOutstandingQuantity(item) {
+        return Math.max(0, item.quantity - (item.received || 0));
+    }
+
+    /**
+     * Value of the goods still to be received on an order
+     * @param {Object} order
+     * @returns {number}
+     */
+    static getOutstandingValue(order) {
+        return order.items.reduce((sum, item) => sum + PurchaseService.getOutstandingQuantity(item) * item.unitCost, 0);
+    }
+
+    /**
+     * Create a purchase order. Quantities are in the products' base units.
+     * @param {Object} data - { vendor, vendorId, items: [{ sku, name, unit, quantity, unitCost }], note }
+     * @returns {Object} Purchase order
+     */
+    createOrder(data) {
+        this.requirePermission('purchase.create');
+
+        const vendor = String(data.vendor || '').trim();
+        if (!vendor) {
+            throw new Error('Vendor wajib diisi');
+        }
+        const items = (data.items || []).map(item => ({
+            sku: item.sku,
+            name: item.name,
+            unit: item.unit || '',
+            quantity: Number(item.quantity),
+            unitCost: Number(item.unitCost),
+            received: 0
+        }));
+        if (items.length === 0) {
+            throw new Error('Tambahkan minimal satu barang');
+        }
+        const invalid = items.find(item => !(item.quantity > 0) || !(item.unitCost >= 0));
+        if (invalid) {
+            throw new Error(`Jumlah atau harga beli ${invalid.name} tidak valid`);
+        }
+
+        const now = new Date();
+        const order = {
+            poNumber: PurchaseService.generateNumber('PO', now),
+            vendor,
+            vendorId: data.vendorId || null, // vendor master entry, when the vendor is registered
+            items,
+            note: String(data.note || '').trim(),
+            status: 'open',
+            total: items.reduce((sum, item) => sum + item.quantity * item.unitCost, 0),
+            createdAt: now.toISOString(),
+            createdBy: this.accessControl.getCashier(),
+            receipts: []
+        };
+        this.save([...this.list(), order]);
+
+        this.deliver({ trxNumber: order.poNumber, ...order }, 'savePurchaseOrder');
+        return order;
+    }
+
+    /**
+     * Receive goods against an order, in full or in part, at the cost actually invoiced
+     * @param {string} poNumber
+     * @param {Array<Object>} lines - [{ sku, quantity, unitCost }]; lines with no quantity are skipped
+     * @returns {Object} Goods receipt { receiptNumber, poNumber, vendor, vendorId, items, total, receivedAt, receivedBy }
+     */
+    receiveGoods(poNumber, lines) {
+        this.requirePermission('purchase.receive');
+
+        const orders = this.list();
+        const order = orders.find(entry => entry.poNumber === poNumber);
+        if (!order) {
+            throw new Error(`Purchase order ${poNumber} not found`);
+        }
+
+        const items = [];
+        lines.filter(line => Number(line.quantity) > 0).forEach(line => {
+            const item = order.items.find(entry => entry.sku === line.sku);
+            if (!item) {
+                throw new Error(`${line.sku} is not on purchase order ${poNumber}`);
+            }
+            const quantity = Number(line.quantity);
+            const outstanding = PurchaseService.getOutstandingQuantity(item);
+            if (quantity > outstanding) {
+                throw new Error(`Jumlah ${item.name} melebihi sisa pesanan (${outstanding})`);
+            }
+            const unitCost = line.unitCost === undefined || line.unitCost === '' ? item.unitCost : Number(line.unitCost);
+            if (!(unitCost >= 0)) {
+                throw new Error(`Harga beli ${item.name} tidak valid`);
+            }
+            items.push({ sku: item.sku, name: item.name, unit: item.unit, quantity, unitCost, orderedCost: item.unitCost });
+        });
+        if (items.length === 0) {
+            throw new Error('Isi jumlah barang yang diterima');
+        }
+
+        const now = new Date();
+        const receipt = {
+            receiptNumber: PurchaseService.generateNumber('GR', now),
+            poNumber,
+            vendor: order.vendor,
+            vendorId: order.vendorId || null,
+            items,
+            total: items.reduce((sum, item) => sum + item.quantity * item.unitCost, 0),
+            receivedAt: now.toISOString(),
+            receivedBy: this.accessControl.getCashier()
+        };
+
+        items.forEach(received => {
+            const item = order.items.find(entry => entry.sku === received.sku);
+            item.received = (item.received || 0) + received.quantity;
+        });
+        order.status = order.items.every(item => PurchaseService.getOutstandingQuantity(item) === 0) ? 'received' : 'partial';
+        order.receipts = [...(order.receipts || []), receipt.receiptNumber];
+        this.save(orders);
+
+        this.deliver({ trxNumber: receipt.receiptNumber, ...receipt, status: order.status }, 'receiveGoods');
+        return receipt;
+    }
+
+    /**
+     * Document number such as PO-20250114-K3F9
+     * @param {string} prefix
+     * @param {Date} date
+     * @returns {string}
+     */
+    static generateNumber(prefix, date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+        const suffix = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0');
+        return `${prefix}-${day}-${suffix}`;
+    }
+
+    requirePermission(permission) {
+        if (!this.accessControl) {
+            throw new AccessDeniedError(permission);
+        }
+        this.accessControl.require(permission);
+    }
+
+    deliver(record, action) {
+        if (!this.submit) return;
+        this.submit(record, action).catch(error => console.error(`Failed to record ${action}:`, error));
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PurchaseService;
+}
+
+// Global instance for direct usage
+window.PurchaseService = PurchaseService;
@@ -0,0 +1,212 @@
+/**
+ * QRIS Service - Builds dynamic QRIS (EMVCo Merchant Presented Mode) payloads
+ * The amount and TRX number are embedded so customers do not type the amount and
+ * payments can be matched to sales in the acquirer's settlement report
+ */
+
+const DEFAULT_QRIS_CONFIG = {
+    staticPayload: '', // text of the merchant's printed (static) QRIS, when available
+    globalUniqueId: 'ID.CO.QRIS.WWW',
+    nmid: '', // National Merchant ID, e.g. ID1020012345678
+    merchantCriteria: 'UMI', // UMI | UKE | UME | UBE
+    merchantName: '',
+    merchantCity: '',
+    postalCode: '',
+    merchantCategoryCode: '5999'
+};
+
+// EMVCo tag IDs used here
+const QRIS_TAGS = {
+    payloadFormat: '00',
+    pointOfInitiation: '01',
+    merchantAccount: '51',
+    merchantCategoryCode: '52',
+    currency: '53',
+    amount: '54',
+    countryCode: '58',
+    merchantName: '59',
+    merchantCity: '60',
+    postalCode: '61',
+    additionalData: '62',
+    crc: '63'
+};
+
+// Sub-tags of additional data (62)
+const QRIS_ADDITIONAL_TAGS = {
+    billNumber: '01',
+    terminalLabel: '07'
+};
+
+class QrisService {
+    constructor() {
+        this.config = null;
+        this.settings = { ...DEFAULT_QRIS_CONFIG };
+
+        this.configReady = this.loadConfig();
+    }
+
+    /**
+     * Load the QRIS section of config.json
+     */
+    async loadConfig() {
+        this.config = await AppConfig.load();
+
+        this.settings = { ...DEFAULT_QRIS_CONFIG, ...(this.config.QRIS || {}) };
+        if (this.settings.staticPayload && !QrisService.verify(this.settings.staticPayload)) {
+            console.warn('QRIS staticPayload has an invalid checksum, check that it was copied completely');
+        }
+    }
+
+    /**
+     * Whether enough merchant data is configured to issue a QRIS
+     * @returns {boolean}
+     */
+    isConfigured() {
+        const settings = this.settings;
+        return Boolean(settings.staticPayload || (settings.nmid && settings.merchantName && settings.merchantCity));
+    }
+
+    /**
+     * Build a dynamic QRIS payload for one sale
+     * @param {Object} options
+     * @param {number} options.amount - Amount due in rupiah
+     * @param {string} options.trxNumber - Transaction number, embedded as the bill number
+     * @param {string} [options.terminalLabel] - Till ID
+     * @returns {Promise<string>} Payload text to encode as a QR code
+     */
+    async buildPayload({ amount, trxNumber, terminalLabel }) {
+        await this.configReady;
+        if (!this.isConfigured()) {
+            throw new Error('QRIS merchant data is not configured');
+        }
+
+        const tags = this.settings.staticPayload
+            ? QrisService.parse(this.settings.staticPayload)
+            : this.merchantTags();
+
+        const additional = tags[QRIS_TAGS.additionalData] ? QrisService.parse(tags[QRIS_TAGS.additionalData]) : {};
+        // EMVCo allows 25 characters; the sequence is at the end of the number, so keep the tail
+        additional[QRIS_ADDITIONAL_TAGS.billNumber] = String(trxNumber).slice(-25);
+        if (terminalLabel) additional[QRIS_ADDITIONAL_TAGS.terminalLabel] = String(terminalLabel).slice(0, 25);
+
+        tags[QRIS_TAGS.pointOfInitiation] = '12'; // dynamic: valid for one payment
+        tags[QRIS_TAGS.amount] = String(Math.round(amount));
+        tags[QRIS_TAGS.additionalData] = QrisService.serialize(additional);
+        delete tags[QRIS_TAGS.crc];
+
+        const body = QrisService.serialize(tags) + QRIS_TAGS.crc + '04';
+        return body + QrisService.crc16(body);
+    }
+
+    /**
+     * Payload tags built from the merchant fields in config.json
+     * @returns {Object} Tag → value
+     */
+    merchantTags() {
+        const settings = this.settings;
+        const tags = {
+            [QRIS_TAGS.payloadFormat]: '01',
+            [QRIS_TAGS.merchantAccount]: QrisService.serialize({
+                '00': settings.globalUniqueId,
+                '02': settings.nmid,
+                '03': settings.merchantCriteria
+            }),
+            [QRIS_TAGS.merchantCategoryCode]: settings.merchantCategoryCode,
+            [QRIS_TAGS.currency]: '360', // IDR
+            [QRIS_TAGS.countryCode]: 'ID',
+            [QRIS_TAGS.merchantName]: settings.merchantName.slice(0, 25),
+            [QRIS_TAGS.merchantCity]: settings.merchantCity.slice(0, 15)
+        };
+        if (settings.postalCode) tags[QRIS_TAGS.postalCode] = settings.postalCode;
+        return tags;
+    }
+
+    /**
+     * Parse an EMVCo TLV string (two-digit tag, two-digit length, value)
+     * @param {string} payload
+     * @returns {Object} Tag → value
+     */
+    static parse(payload) {
+        const tags = {};
+        let position = 0;
+        while (position + 4 <= payload.length) {
+            const tag = payload.substr(position, 2);
+            const length = parseInt(payload.substr(position + 2, 2), 10);
+            if (isNaN(length)) {
+                throw new Error(`Invalid QRIS payload at position ${position}`);
+            }
+            tags[tag] = payload.substr(position + 4, length);
+            position += 4 + length;
+        }
+        return tags;
+    }
+
+    /**
+     * Serialize tags as EMVCo TLV in ascending tag order
+     * @param {Object} tags - Tag → value
+     * @returns {string}
+     */
+    static serialize(tags) {
+        return Object.keys(tags)
+            .filter(tag => tags[tag] !== undefined && tags[tag] !== '')
+            .sort()
+            .map(tag => {
+                const value = String(tags[tag]);
+                if (value.length > 99) {
+                    throw new Error(`QRIS tag ${tag} is longer than 99 characters`);
+                }
+                return tag + String(value.length).padStart(2, '0') + value;
+            })
+            .join('');
+    }
+
+    /**
+     * CRC-16/CCITT-FALSE checksum (polynomial 0x1021, initial 0xFFFF) as four hex digits
+     * @param {string} text
+     * @returns {string}
+     */
+    static crc16(text) {
+        let crc = 0xFFFF;
+        for (let i = 0; i < text.length; i++) {
+            crc ^= text.charCodeAt(i) << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+                crc &= 0xFFFF;
+            }
+        }
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    /**
+     * Check the CRC at the end of a payload
+     * @param {string} payload
+     * @returns {boolean}
+     */
+    static verify(payload) {
+        const text = String(payload).trim();
+        return text.length > 8 && QrisService.crc16(text.slice(0, -4)) === text.slice(-4).toUpperCase();
+    }
+
+    /**
+     * Render a payload as an SVG QR code into an element (qrcode-generator library)
+     * @param {HTMLElement} element
+     * @param {string} payload
+     */
+    render(element, payload) {
+        if (typeof qrcode === 'undefined') {
+            throw new Error('QR code library not loaded');
+        }
+        const qr = qrcode(0, 'M');
+        qr.addData(payload);
+        qr.make();
+        element.innerHTML = qr.createSvgTag({ cellSize: 4, margin: 2, scalable: true });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QrisService;
+}
+
+// Global instance for direct usage
+window.QrisService = QrisService;
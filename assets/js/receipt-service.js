@@ -0,0 +1,407 @@
+/**
+ * Receipt Service - Renders sale receipts for thermal printers (58mm/80mm) and A4 paper
+ * Receipts print through the browser, like the invoice print page of the admin template,
+ * or export as ESC/POS byte streams for printers driven directly
+ */
+
+const RECEIPT_PAPER_COLUMNS = {
+    58: 32,
+    80: 48
+};
+
+const DEFAULT_RECEIPT_CONFIG = {
+    storeName: 'wescape group',
+    address: '',
+    phone: '',
+    footer: 'Terima kasih atas kunjungan Anda',
+    paperWidth: 80
+};
+
+const PAYMENT_METHOD_LABELS = {
+    cash: 'Tunai',
+    qris: 'QRIS',
+    edc: 'EDC',
+    credit: 'Bayar Nanti'
+};
+
+// ESC/POS command bytes
+const ESC = 0x1B;
+const GS = 0x1D;
+const LF = 0x0A;
+
+class ReceiptService {
+    constructor() {
+        this.config = null;
+        this.settings = { ...DEFAULT_RECEIPT_CONFIG };
+
+        this.configReady = this.loadConfig();
+    }
+
+    /**
+     * Load the RECEIPT section of config.json
+     */
+    async loadConfig() {
+        this.config = await AppConfig.load();
+
+        this.settings = { ...DEFAULT_RECEIPT_CONFIG, ...(this.config.RECEIPT || {}) };
+    }
+
+    /**
+     * Characters per line for a paper width
+     * @param {number} [paperWidth] - 58 or 80 (mm), defaults to RECEIPT.paperWidth
+     * @returns {number}
+     */
+    getColumns(paperWidth = this.settings.paperWidth) {
+        return RECEIPT_PAPER_COLUMNS[paperWidth] || RECEIPT_PAPER_COLUMNS[80];
+    }
+
+    formatPrice(price) {
+        return new Intl.NumberFormat('id-ID').format(price);
+    }
+
+    formatDate(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    formatDay(timestamp) {
+        return this.formatDate(timestamp).split(' ')[0];
+    }
+
+    /**
+     * Text left and right on one line, wrapping the left text when both do not fit
+     * @param {string} left
+     * @param {string} right
+     * @param {number} columns
+     * @returns {string[]}
+     */
+    justify(left, right, columns) {
+        const room = columns - right.length - 1;
+        if (left.length <= room) {
+            return [left + ' '.repeat(columns - left.length - right.length) + right];
+        }
+        return [...this.wrap(left, columns), right.padStart(columns)];
+    }
+
+    /**
+     * Break text into lines of at most `columns` characters, on spaces where possible
+     * @param {string} text
+     * @param {number} columns
+     * @returns {string[]}
+     */
+    wrap(text, columns) {
+        const lines = [];
+        let line = '';
+        String(text).split(/\s+/).filter(Boolean).forEach(word => {
+            while (word.length > columns) {
+                if (line) {
+                    lines.push(line);
+                    line = '';
+                }
+                lines.push(word.slice(0, columns));
+                word = word.slice(columns);
+            }
+            if (!line) {
+                line = word;
+            } else if (line.length + 1 + word.length <= columns) {
+                line += ' ' + word;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Lay out a sale as fixed-width receipt lines, shared by the thermal print view and ESC/POS
+     * @param {Object} transaction - Transaction built by InventoryService.checkout
+     * @param {number} columns - Characters per line
+     * @returns {Array<Object>} Lines { text, align: 'left'|'center', bold }
+     */
+    buildLines(transaction, columns) {
+        const lines = [];
+        const add = (text, options = {}) => lines.push({ text, align: 'left', bold: false, ...options });
+        const center = (text, options = {}) => this.wrap(text, columns).forEach(line => add(line, { ...options, align: 'center' }));
+        const pair = (left, right, options = {}) => this.justify(left, right, columns).forEach(line => add(line, options));
+        const rule = () => add('-'.repeat(columns));
+
+        center(this.settings.storeName, { bold: true });
+        if (this.settings.address) center(this.settings.address);
+        if (this.settings.phone) center(this.settings.phone);
+        rule();
+
+        add(`No    : ${transaction.trxNumber}`);
+        add(`Tgl   : ${this.formatDate(transaction.timestamp)}`);
+        if (transaction.cashier) add(`Kasir : ${transaction.cashier.name}`);
+        if (transaction.customer) add(`Plg   : ${transaction.customer.name}`);
+        rule();
+
+        transaction.items.forEach(item => {
+            this.wrap(item.name, columns).forEach(line => add(line));
+            const unit = item.unit ? ` ${item.unit}` : '';
+            pair(`  ${item.quantity} x${unit} @ ${this.formatPrice(item.price)}`, this.formatPrice(item.price * item.quantity));
+            if (item.discount) {
+                pair(`  Diskon ${item.discount.reasonLabel}`, `-${this.formatPrice(item.discount.amount)}`);
+            }
+        });
+        rule();
+
+        pair('Subtotal', this.formatPrice(this.getSubtotal(transaction)));
+        if (transaction.orderDiscount) {
+            pair(`Diskon ${transaction.orderDiscount.reasonLabel}`, `-${this.formatPrice(transaction.orderDiscount.amount)}`);
+        }
+        this.getTaxRows(transaction).forEach(row => pair(row.label, this.formatPrice(row.tax)));
+        pair('TOTAL', `Rp ${this.formatPrice(transaction.total)}`, { bold: true });
+
+        const payments = transaction.payments || [];
+        payments.forEach(payment => {
+            pair(PAYMENT_METHOD_LABELS[payment.method] || payment.method, this.formatPrice(payment.amountTendered));
+            if (payment.edcReference) pair('  Ref EDC', payment.edcReference);
+            if (payment.method === 'credit' && transaction.dueDate) pair('  Jatuh tempo', this.formatDay(transaction.dueDate));
+        });
+        if (payments.length > 0) pair('Kembalian', this.formatPrice(transaction.change || 0));
+        rule();
+
+        if (this.settings.footer) center(this.settings.footer);
+        return lines;
+    }
+
+    /**
+     * Subtotal printed on every receipt layout: the item lines after their own discounts,
+     * before the order discount and tax
+     * @param {Object} transaction
+     * @returns {number}
+     */
+    getSubtotal(transaction) {
+        const orderDiscount = transaction.orderDiscount ? transaction.orderDiscount.amount : 0;
+        const lineDiscount = (transaction.discount || 0) - orderDiscount;
+        return transaction.subtotal - lineDiscount;
+    }
+
+    /**
+     * Tax lines to print, one per taxed rate
+     * @param {Object} transaction
+     * @returns {Array<Object>} [{ label, tax }]
+     */
+    getTaxRows(transaction) {
+        const included = transaction.pricesIncludeTax ? ' (termasuk)' : '';
+        const taxed = (transaction.taxBreakdown || []).filter(entry => entry.rate > 0);
+        if (taxed.length === 0) {
+            return [{ label: `PPN${included}`, tax: transaction.tax }];
+        }
+        return taxed.map(entry => ({
+            label: `${entry.label} ${Math.round(entry.rate * 1000) / 10}%${included}`,
+            tax: entry.tax
+        }));
+    }
+
+    /**
+     * Printable HTML document for a thermal roll
+     * @param {Object} transaction
+     * @param {number} [paperWidth] - 58 or 80 (mm)
+     * @returns {string}
+     */
+    renderThermal(transaction, paperWidth = this.settings.paperWidth) {
+        const width = RECEIPT_PAPER_COLUMNS[paperWidth] ? paperWidth : 80;
+        const body = this.buildLines(transaction, this.getColumns(width)).map(line => {
+            const classes = [line.align === 'center' ? 'center' : '', line.bold ? 'bold' : ''].filter(Boolean).join(' ');
+            return `<div class="${classes}">${escapeHtml(line.text) || '&nbsp;'}</div>`;
+        }).join('');
+
+        return this.renderDocument(transaction, `
+            @page { size: ${width}mm auto; margin: 0; }
+            body { width: ${width - 8}mm; margin: 0 auto; padding: 4mm 0; font: 11px/1.35 'Courier New', monospace; }
+            div { white-space: pre; }
+            .center { text-align: center; }
+            .bold { font-weight: bold; }
+        `, body);
+    }
+
+    /**
+     * Printable A4 invoice document
+     * @param {Object} transaction
+     * @returns {string}
+     */
+    renderA4(transaction) {
+        const settings = this.settings;
+        const payments = transaction.payments || [];
+        const orderDiscount = transaction.orderDiscount;
+        const rows = transaction.items.map(item => `
+            <tr>
+                <td>${escapeHtml(item.sku)}</td>
+                <td>${escapeHtml(item.name)}</td>
+                <td class="num">Rp ${this.formatPrice(item.price)}</td>
+                <td class="num">${item.quantity}</td>
+                <td>${escapeHtml(item.unit || '')}</td>
+                <td class="num">${item.discount
+                    ? `-Rp ${this.formatPrice(item.discount.amount)}<br><small>${escapeHtml(item.discount.reasonLabel)}</small>`
+                    : '-'}</td>
+                <td class="num">Rp ${this.formatPrice(item.total)}</td>
+            </tr>
+        `).join('');
+
+        const paymentRows = payments.map(payment => `
+            <tr><td>Dibayar (${PAYMENT_METHOD_LABELS[payment.method] || payment.method})</td><td class="num">Rp ${this.formatPrice(payment.amountTendered)}</td></tr>
+            ${payment.edcReference ? `<tr><td>Ref EDC</td><td class="num">${escapeHtml(payment.edcReference)}</td></tr>` : ''}
+            ${payment.method === 'credit' && transaction.dueDate ? `<tr><td>Jatuh tempo</td><td class="num">${this.formatDay(transaction.dueDate)}</td></tr>` : ''}
+        `).join('') + (payments.length > 0
+            ? `<tr><td>Kembalian</td><td class="num">Rp ${this.formatPrice(transaction.change || 0)}</td></tr>`
+            : '');
+
+        const body = `
+            <header>
+                <div>
+                    <h1>${escapeHtml(settings.storeName)}</h1>
+                    ${settings.address ? `<p>${escapeHtml(settings.address)}</p>` : ''}
+                    ${settings.phone ? `<p>${escapeHtml(settings.phone)}</p>` : ''}
+                </div>
+                <div class="meta">
+                    <h2>STRUK #${escapeHtml(transaction.trxNumber)}</h2>
+                    <p>Tanggal: ${this.formatDate(transaction.timestamp)}</p>
+                    ${transaction.cashier ? `<p>Kasir: ${escapeHtml(transaction.cashier.name)}</p>` : ''}
+                    ${transaction.customer ? `<p>Pelanggan: ${escapeHtml(transaction.customer.name)}</p>` : ''}
+                </div>
+            </header>
+            <hr>
+            <table class="items">
+                <thead>
+                    <tr><th>SKU</th><th>Item</th><th class="num">Harga</th><th class="num">Qty</th><th>Satuan</th><th class="num">Diskon</th><th class="num">Jumlah</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <table class="totals">
+                <tr><td>Subtotal</td><td class="num">Rp ${this.formatPrice(this.getSubtotal(transaction))}</td></tr>
+                ${orderDiscount ? `<tr><td>Diskon ${escapeHtml(orderDiscount.reasonLabel)}</td><td class="num">-Rp ${this.formatPrice(orderDiscount.amount)}</td></tr>` : ''}
+                ${transaction.taxBase !== undefined ? `<tr><td>DPP</td><td class="num">Rp ${this.formatPrice(transaction.taxBase)}</td></tr>` : ''}
+                ${this.getTaxRows(transaction).map(row => `<tr><td>${escapeHtml(row.label)}</td><td class="num">Rp ${this.formatPrice(row.tax)}</td></tr>`).join('')}
+                <tr class="grand"><td>Total</td><td class="num">Rp ${this.formatPrice(transaction.total)}</td></tr>
+                ${paymentRows}
+            </table>
+            ${settings.footer ? `<p class="footer">${escapeHtml(settings.footer)}</p>` : ''}
+        `;
+
+        return this.renderDocument(transaction, `
+            @page { size: A4; margin: 15mm; }
+            body { margin: 0; font: 13px/1.5 'Inter', Arial, sans-serif; color: #333; }
+            header { display: flex; justify-content: space-between; }
+            h1 { font-size: 20px; margin: 0 0 6px; }
+            h2 { font-size: 15px; margin: 0 0 6px; }
+            p { margin: 0 0 2px; }
+            .meta { text-align: right; }
+            hr { border: 0; border-top: 1px solid #ddd; margin: 16px 0; }
+            table { border-collapse: collapse; }
+            .items { width: 100%; }
+            .items th, .items td { border-bottom: 1px solid #ddd; padding: 8px; text-align: left; }
+            .totals { margin: 16px 0 0 auto; min-width: 280px; }
+            .totals td { padding: 4px 8px; }
+            .grand td { font-weight: 700; border-top: 1px solid #333; }
+            .num { text-align: right !important; }
+            .footer { margin-top: 32px; text-align: center; }
+        `, body);
+    }
+
+    renderDocument(transaction, styles, body) {
+        return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(transaction.trxNumber)}</title>
+<style>${styles}</style>
+</head>
+<body>${body}</body>
+</html>`;
+    }
+
+    /**
+     * Print a receipt through the browser print dialog, from a hidden frame so the POS stays open
+     * @param {Object} transaction
+     * @param {string} [layout] - 'thermal' or 'a4'
+     */
+    async print(transaction, layout = 'thermal') {
+        await this.configReady;
+        const html = layout === 'a4' ? this.renderA4(transaction) : this.renderThermal(transaction);
+
+        const frame = document.createElement('iframe');
+        frame.style.position = 'fixed';
+        frame.style.width = '0';
+        frame.style.height = '0';
+        frame.style.border = '0';
+        document.body.appendChild(frame);
+
+        frame.contentDocument.open();
+        frame.contentDocument.write(html);
+        frame.contentDocument.close();
+
+        frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    }
+
+    /**
+     * Encode a receipt as ESC/POS commands: initialize, receipt lines, feed and cut
+     * @param {Object} transaction
+     * @param {number} [paperWidth] - 58 or 80 (mm)
+     * @returns {Uint8Array}
+     */
+    toEscPos(transaction, paperWidth = this.settings.paperWidth) {
+        const bytes = [ESC, 0x40]; // ESC @ initialize
+        let align = 'left';
+        let bold = false;
+
+        this.buildLines(transaction, this.getColumns(paperWidth)).forEach(line => {
+            if (line.align !== align) {
+                align = line.align;
+                bytes.push(ESC, 0x61, align === 'center' ? 1 : 0); // ESC a n
+            }
+            if (line.bold !== bold) {
+                bold = line.bold;
+                bytes.push(ESC, 0x45, bold ? 1 : 0); // ESC E n
+            }
+            // Centered lines are aligned by the printer
+            bytes.push(...this.encodeText(align === 'center' ? line.text.trim() : line.text), LF);
+        });
+
+        bytes.push(ESC, 0x64, 4); // ESC d n: feed n lines
+        bytes.push(GS, 0x56, 0x42, 0x00); // GS V: feed and partial cut
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Printer-safe ASCII bytes; accents are dropped and other characters become '?'
+     * @param {string} text
+     * @returns {number[]}
+     */
+    encodeText(text) {
+        return Array.from(String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, ''))
+            .map(char => (char.charCodeAt(0) < 0x80 ? char.charCodeAt(0) : 0x3F));
+    }
+
+    /**
+     * Download the ESC/POS byte stream of a receipt, e.g. for a print server or raw printer share
+     * @param {Object} transaction
+     * @param {number} [paperWidth] - 58 or 80 (mm)
+     */
+    async downloadEscPos(transaction, paperWidth) {
+        await this.configReady;
+        const data = this.toEscPos(transaction, paperWidth);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([data], { type: 'application/octet-stream' }));
+        link.download = `${transaction.trxNumber}.bin`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
+
+// Payment method names for other screens, e.g. the tender list at checkout
+ReceiptService.PAYMENT_METHOD_LABELS = PAYMENT_METHOD_LABELS;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReceiptService;
+}
+
+// Global instance for direct usage
+window.ReceiptService = ReceiptService;
@@ -0,0 +1,26 @@
+/**
+ * Record ID - IDs for records created on a till (customers, payments, vendors, payables)
+ * Every till creates records offline, so an ID joins the time with a random part that another
+ * till will not produce in the same millisecond.
+ */
+
+class RecordId {
+    /**
+     * @param {string} prefix - e.g. 'C' or 'PAY-'
+     * @returns {string} e.g. 'C' + 'LZ8K2J1Q-7F3A9C2E'
+     */
+    static create(prefix = '') {
+        const random = new Uint8Array(4);
+        crypto.getRandomValues(random);
+        const suffix = Array.from(random, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+        return `${prefix}${Date.now().toString(36).toUpperCase()}-${suffix}`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordId;
+}
+
+// Global instance for direct usage
+window.RecordId = RecordId;
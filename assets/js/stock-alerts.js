@@ -0,0 +1,141 @@
+/**
+ * Stock Alerts - Products below their minimum stock and what to reorder from each vendor
+ * A product's minStock (stok_minimum) is the level it should not fall below; reorderQty (jumlah_pesan_ulang)
+ * is the pack size it is ordered in. Suggestions cover the recent daily sales for REORDER.coverDays.
+ */
+
+const DEFAULT_REORDER_CONFIG = {
+    salesWindowDays: 30, // sales used to measure how fast a product sells
+    coverDays: 14 // days of sales a reorder should cover on top of the minimum stock
+};
+
+class StockAlerts {
+    /**
+     * @param {Object} product
+     * @returns {number|null} Minimum stock in base units, null when none is set
+     */
+    static minStock(product) {
+        const min = product ? Number(product.minStock) : NaN;
+        return product && product.minStock !== undefined && product.minStock !== null && product.minStock !== '' && min >= 0
+            ? min
+            : null;
+    }
+
+    /**
+     * @param {Object} product
+     * @param {number} [stock] - Stock to check, defaults to the stock on hand
+     * @returns {boolean} true when the stock is below the product's minimum
+     */
+    static isLow(product, stock = product.stock) {
+        const min = StockAlerts.minStock(product);
+        return min !== null && stock !== undefined && stock < min;
+    }
+
+    /**
+     * Products below their minimum stock, emptiest first
+     * @param {Array<Object>} products
+     * @returns {Array<Object>} [{ product, stock, minStock, shortage }]
+     */
+    static lowStock(products) {
+        return products
+            .filter(product => StockAlerts.isLow(product))
+            .map(product => {
+                const minStock = StockAlerts.minStock(product);
+                return { product, stock: product.stock, minStock, shortage: minStock - product.stock };
+            })
+            .sort((a, b) => a.stock / (a.minStock || 1) - b.stock / (b.minStock || 1));
+    }
+
+    /**
+     * Average daily sales per product over the last days
+     * @param {Array<Object>} transactions - Completed (not voided) sales
+     * @param {number} days - Length of the window; pass only the days the transactions actually cover,
+     *   or a short history is spread over days it has no sales for
+     * @param {Date} [now]
+     * @returns {Object} { sku: base units sold per day }
+     */
+    static salesVelocity(transactions, days, now = new Date()) {
+        const since = now.getTime() - days * 24 * 60 * 60 * 1000;
+        const sold = {};
+
+        transactions
+            .filter(transaction => new Date(transaction.timestamp).getTime() >= since)
+            .forEach(transaction => {
+                (transaction.items || []).forEach(item => {
+                    const quantity = item.baseQuantity !== undefined ? item.baseQuantity : item.quantity;
+                    sold[item.sku] = (sold[item.sku] || 0) + (Number(quantity) || 0);
+                });
+            });
+
+        Object.keys(sold).forEach(sku => {
+            sold[sku] = sold[sku] / days;
+        });
+        return sold;
+    }
+
+    /**
+     * Draft reorder list: products that are below their minimum, or will be within the cover period
+     * at their recent sales rate, with the quantity that brings them back up, grouped by vendor
+     * @param {Array<Object>} products
+     * @param {Object} options - { velocity: { sku: per day }, onOrder: { sku: quantity }, coverDays,
+     *   vendorOf: (product) => vendor master entry or null }
+     * @returns {Array<Object>} [{ vendor, vendorId, items, total }], items being
+     *   [{ sku, name, unit, stock, onOrder, minStock, dailySales, quantity, unitCost }]; vendors by name, unknown vendor last
+     */
+    static reorderSuggestions(products, options) {
+        const velocity = options.velocity || {};
+        const onOrder = options.onOrder || {};
+        const coverDays = Number(options.coverDays) || DEFAULT_REORDER_CONFIG.coverDays;
+        const groups = {};
+
+        products
+            .filter(product => product.stock !== undefined)
+            .forEach(product => {
+                const minStock = StockAlerts.minStock(product);
+                const dailySales = velocity[product.id] || 0;
+                if (minStock === null && dailySales === 0) return;
+
+                const available = product.stock + (onOrder[product.id] || 0);
+                const target = (minStock || 0) + dailySales * coverDays;
+                if (available >= target) return;
+
+                // Stock already on its way counts, and the order is rounded up to whole packs
+                const needed = Math.ceil(target - available);
+                const pack = Number(product.reorderQty) > 0 ? Number(product.reorderQty) : 1;
+                const quantity = Math.ceil(needed / pack) * pack;
+
+                const vendor = options.vendorOf ? options.vendorOf(product) : null;
+                const name = vendor ? vendor.name : String(product.vendor || '').trim();
+                if (!groups[name]) {
+                    groups[name] = { vendor: name, vendorId: vendor ? vendor.id : null, items: [], total: 0 };
+                }
+
+                const unitCost = CostEngine.unitCost(product) || 0;
+                groups[name].items.push({
+                    sku: product.id,
+                    name: product.name,
+                    unit: UnitOfMeasure.baseUnitOf(product),
+                    stock: product.stock,
+                    onOrder: onOrder[product.id] || 0,
+                    minStock,
+                    dailySales,
+                    quantity,
+                    unitCost
+                });
+                groups[name].total += quantity * unitCost;
+            });
+
+        return Object.values(groups).sort((a, b) => {
+            if (!a.vendor || !b.vendor) return a.vendor ? -1 : 1;
+            return a.vendor.localeCompare(b.vendor, 'id');
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StockAlerts, DEFAULT_REORDER_CONFIG };
+}
+
+// Global instance for direct usage
+window.StockAlerts = StockAlerts;
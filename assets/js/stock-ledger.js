@@ -0,0 +1,107 @@
+/**
+ * Stock Ledger - Every change to a product's stock, with who made it, when and why
+ * Movements are only ever appended. This till keeps the latest ones in localStorage for the stock card;
+ * the backend keeps the full ledger from the decrementStock, incrementStock and adjustStock records.
+ */
+
+const STOCK_LEDGER_STORAGE_KEY = 'miniERP.stockLedger';
+const STOCK_OPNAME_STORAGE_KEY = 'miniERP.stockOpname';
+const STOCK_LEDGER_LIMIT = 5000; // movements kept on this device
+
+const STOCK_MOVEMENT_TYPES = {
+    sale: 'Penjualan',
+    purchase: 'Penerimaan barang',
+    return: 'Retur',
+    adjustment: 'Penyesuaian',
+    transfer: 'Transfer'
+};
+
+class StockLedger {
+    /**
+     * Movements, oldest first
+     * @returns {Array<Object>} [{ id, sku, type, quantity, balance, location, reference, reason, user, timestamp }]
+     */
+    list() {
+        try {
+            const movements = JSON.parse(localStorage.getItem(STOCK_LEDGER_STORAGE_KEY) || '[]');
+            return Array.isArray(movements) ? movements : [];
+        } catch (error) {
+            console.error('Failed to read stock ledger:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Append movements
+     * @param {Array<Object>} movements - [{ sku, type, quantity, balance, location, reference, reason, user }], quantity
+     *   signed in base units; location is the other side of a transfer (source when positive, destination when negative)
+     * @returns {Array<Object>} Recorded movements
+     */
+    record(movements) {
+        const timestamp = new Date().toISOString();
+        const recorded = movements.map((movement, index) => {
+            if (!STOCK_MOVEMENT_TYPES[movement.type]) {
+                throw new Error(`Unknown stock movement type: ${movement.type}`);
+            }
+            return Object.freeze({
+                id: `M${Date.now().toString(36)}${index.toString(36)}${Math.random().toString(36).slice(2, 5)}`,
+                sku: movement.sku,
+                type: movement.type,
+                quantity: movement.quantity,
+                balance: movement.balance !== undefined ? movement.balance : null,
+                location: movement.location || '',
+                reference: movement.reference || '',
+                reason: movement.reason || '',
+                user: movement.user || null,
+                timestamp
+            });
+        });
+
+        const kept = [...this.list(), ...recorded].slice(-STOCK_LEDGER_LIMIT);
+        try {
+            localStorage.setItem(STOCK_LEDGER_STORAGE_KEY, JSON.stringify(kept));
+        } catch (error) {
+            console.error('Failed to save stock ledger:', error);
+        }
+        return recorded;
+    }
+
+    /**
+     * Stock card of a product: its movements, newest first
+     * @param {string} sku
+     * @returns {Array<Object>}
+     */
+    forProduct(sku) {
+        return this.list().filter(movement => movement.sku === sku).reverse();
+    }
+
+    /**
+     * Stock opname in progress on this till
+     * @returns {Object|null} { number, category, startedAt, startedBy, counts: { sku: { counted, snapshot } } },
+     *   snapshot being the system stock when the count was entered
+     */
+    getOpname() {
+        try {
+            return JSON.parse(localStorage.getItem(STOCK_OPNAME_STORAGE_KEY) || 'null');
+        } catch (error) {
+            console.error('Failed to read stock opname:', error);
+            return null;
+        }
+    }
+
+    saveOpname(opname) {
+        if (opname) {
+            localStorage.setItem(STOCK_OPNAME_STORAGE_KEY, JSON.stringify(opname));
+        } else {
+            localStorage.removeItem(STOCK_OPNAME_STORAGE_KEY);
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StockLedger;
+}
+
+// Global instance for direct usage
+window.StockLedger = StockLedger;
@@ -0,0 +1,163 @@
+/**
+ * Tax Engine - PPN calculation for POS sales
+ * Rates and product tax categories come from TAX in config.json; prices may include or exclude tax
+ */
+
+const DEFAULT_TAX_CONFIG = {
+    pricesIncludeTax: false,
+    rounding: 'invoice', // invoice: round once per rate | line: round each line
+    defaultCategory: 'standard',
+    categories: {
+        standard: { label: 'PPN', rate: 0.11 },
+        exempt: { label: 'Bebas PPN', rate: 0 }
+    },
+    productCategories: {} // product category → tax category, for sheets without a tax column
+};
+
+class TaxEngine {
+    /**
+     * @param {Object} [settings] - TAX section of config.json
+     */
+    constructor(settings = {}) {
+        this.settings = {
+            ...DEFAULT_TAX_CONFIG,
+            ...settings,
+            categories: { ...DEFAULT_TAX_CONFIG.categories, ...(settings.categories || {}) },
+            productCategories: { ...(settings.productCategories || {}) }
+        };
+    }
+
+    /**
+     * Tax category of a product: its own taxCategory, else the one mapped from its product category
+     * @param {Object} product - Product or cart item
+     * @returns {string} Category code
+     */
+    getProductCategory(product) {
+        const code = product.taxCategory || this.settings.productCategories[product.category];
+        return this.settings.categories[code] ? code : this.settings.defaultCategory;
+    }
+
+    /**
+     * @param {string} code - Category code
+     * @returns {Object} { code, label, rate }
+     */
+    getCategory(code) {
+        const key = this.settings.categories[code] ? code : this.settings.defaultCategory;
+        return { code: key, ...this.settings.categories[key] };
+    }
+
+    /**
+     * Short rate label for the order summary, e.g. '11%' or '11% termasuk'
+     * @param {Array<Object>} breakdown - From calculate()
+     * @returns {string}
+     */
+    describe(breakdown) {
+        const rates = [...new Set(breakdown.filter(entry => entry.rate > 0).map(entry => `${Math.round(entry.rate * 1000) / 10}%`))];
+        const label = rates.length > 0 ? rates.join(' / ') : '0%';
+        return this.settings.pricesIncludeTax ? `${label} termasuk` : label;
+    }
+
+    /**
+     * Calculate tax for a sale.
+     * Amounts are in price-list terms: tax-inclusive when pricesIncludeTax is set, otherwise exclusive.
+     * The order discount is spread over the lines in proportion to their amounts before tax is computed.
+     * @param {Array<Object>} lines - [{ amount, taxCategory }], amount after line discounts
+     * @param {number} [orderDiscount] - Order discount amount
+     * @returns {Object} { lines: [{ taxCategory, rate, amount, base, tax }], breakdown: [{ category, label, rate, base, tax }], base, tax, total }
+     */
+    calculate(lines, orderDiscount = 0) {
+        const inclusive = Boolean(this.settings.pricesIncludeTax);
+        const amounts = this.allocateDiscount(lines.map(line => line.amount), orderDiscount);
+
+        const taxLines = lines.map((line, index) => {
+            const category = this.getCategory(line.taxCategory);
+            const amount = amounts[index];
+            const exactTax = inclusive
+                ? amount - amount / (1 + category.rate)
+                : amount * category.rate;
+            const tax = this.settings.rounding === 'line' ? Math.round(exactTax) : exactTax;
+            return {
+                taxCategory: category.code,
+                rate: category.rate,
+                amount,
+                base: inclusive ? amount - tax : amount,
+                tax
+            };
+        });
+
+        // Totals per category; with invoice rounding the tax is rounded once per category
+        const groups = {};
+        taxLines.forEach(line => {
+            if (!groups[line.taxCategory]) {
+                const category = this.getCategory(line.taxCategory);
+                groups[line.taxCategory] = { category: category.code, label: category.label, rate: category.rate, amount: 0, tax: 0 };
+            }
+            groups[line.taxCategory].amount += line.amount;
+            groups[line.taxCategory].tax += line.tax;
+        });
+
+        const breakdown = Object.values(groups).map(group => {
+            const tax = Math.round(group.tax);
+            return {
+                category: group.category,
+                label: group.label,
+                rate: group.rate,
+                base: inclusive ? group.amount - tax : group.amount,
+                tax
+            };
+        });
+
+        if (this.settings.rounding !== 'line') {
+            // Round line figures for reporting; the last line of each category absorbs the difference
+            // so that lines add up to the category totals
+            breakdown.forEach(entry => {
+                const categoryLines = taxLines.filter(line => line.taxCategory === entry.category);
+                let remaining = entry.tax;
+                categoryLines.forEach((line, index) => {
+                    line.tax = index === categoryLines.length - 1 ? remaining : Math.round(line.tax);
+                    remaining -= line.tax;
+                    line.base = inclusive ? line.amount - line.tax : line.amount;
+                });
+            });
+        }
+
+        const amount = amounts.reduce((sum, value) => sum + value, 0);
+        const tax = breakdown.reduce((sum, entry) => sum + entry.tax, 0);
+        const base = breakdown.reduce((sum, entry) => sum + entry.base, 0);
+        return {
+            lines: taxLines,
+            breakdown,
+            base,
+            tax,
+            total: inclusive ? amount : amount + tax
+        };
+    }
+
+    /**
+     * Spread a discount over amounts in proportion to their size; the last line takes the rounding remainder
+     * @param {number[]} amounts
+     * @param {number} discount
+     * @returns {number[]} Amounts after the discount
+     */
+    allocateDiscount(amounts, discount) {
+        const total = amounts.reduce((sum, amount) => sum + amount, 0);
+        if (!discount || total <= 0) return amounts.slice();
+
+        let remaining = Math.min(discount, total);
+        return amounts.map((amount, index) => {
+            const share = Math.min(amount, remaining, index === amounts.length - 1
+                ? remaining
+                : Math.round(discount * amount / total));
+            remaining -= share;
+            return amount - share;
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxEngine;
+}
+
+// Global instance for direct usage
+window.TaxEngine = TaxEngine;
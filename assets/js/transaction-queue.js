@@ -0,0 +1,361 @@
+/**
+ * Transaction Queue - Persistent outbox for completed sales
+ * Stores every transaction in IndexedDB and delivers it to the backend with retry/backoff
+ */
+
+// Backend error codes for records that are rejected however often they are sent
+const AUTH_REJECTION_CODES = ['unauthorized', 'forbidden', 'session_expired'];
+const VALIDATION_REJECTION_CODES = ['invalid_data'];
+
+class TransactionQueue {
+    /**
+     * @param {Object} options
+     * @param {Function} options.send - Async function (data, action, token) that delivers one record, throws on failure
+     * @param {Function} [options.getToken] - Returns the session token of the user logged in now
+     * @param {string} [options.dbName] - IndexedDB database name
+     */
+    constructor(options = {}) {
+        this.send = options.send;
+        this.getToken = options.getToken || (() => null);
+        this.dbName = options.dbName || 'miniERP';
+        this.storeName = 'outbox';
+        this.baseDelay = 5000; // 5 seconds
+        this.maxDelay = 5 * 60 * 1000; // 5 minutes
+        this.syncedRetention = 7 * 24 * 60 * 60 * 1000; // keep delivered records for dedupe for 7 days
+
+        this.db = null;
+        this.timer = null;
+        this.flushing = false;
+        this.listeners = [];
+
+        window.addEventListener('online', () => this.flush());
+    }
+
+    /**
+     * Check whether IndexedDB is available in this browser
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (or create) the outbox database
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDB() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'trxNumber' });
+                    store.createIndex('status', 'status', { unique: false });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against the outbox store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async withStore(mode, callback) {
+        const db = await this.openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = callback(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Outbox key of a record. Sales are keyed by transaction number,
+     * follow-up actions on the same transaction (e.g. a void) by "<action>:<trxNumber>".
+     * @param {string} trxNumber - Transaction number
+     * @param {string} [action] - Apps Script action
+     * @returns {string}
+     */
+    static recordKey(trxNumber, action = 'saveTransaction') {
+        return action === 'saveTransaction' ? trxNumber : `${action}:${trxNumber}`;
+    }
+
+    /**
+     * Whether the backend rejected a record for good, rather than not being reachable
+     * @param {Error} error - Thrown by send, with the HTTP status or the backend error code when known
+     * @returns {string|null} 'auth' (the token was refused), 'invalid' (the data was refused) or null
+     */
+    static rejectionOf(error) {
+        if (!error) return null;
+        if ([401, 403].includes(error.status) || AUTH_REJECTION_CODES.includes(error.code)) return 'auth';
+        if ([400, 422].includes(error.status) || VALIDATION_REJECTION_CODES.includes(error.code)) return 'invalid';
+        return null;
+    }
+
+    /**
+     * Record a completed transaction in the outbox.
+     * A transaction number that is already queued or delivered is not recorded twice.
+     * @param {Object} transaction - Transaction payload, must carry a trxNumber
+     * @param {string} [action] - Apps Script action used to deliver it
+     * @param {string|null} [token] - Session token of the user who made the record, delivered with it
+     *   so the backend checks that user's role even when the record is sent later
+     * @returns {Promise<Object>} The stored outbox record
+     */
+    async enqueue(transaction, action = 'saveTransaction', token = null) {
+        if (!transaction || !transaction.trxNumber) {
+            throw new Error('Transaction number is required');
+        }
+
+        const key = TransactionQueue.recordKey(transaction.trxNumber, action);
+        const existing = await this.get(key);
+        if (existing) {
+            console.warn('Transaction already recorded:', key);
+            return existing;
+        }
+
+        const record = {
+            trxNumber: key,
+            action: action,
+            data: transaction,
+            token: token,
+            status: 'pending',
+            attempts: 0,
+            nextAttempt: Date.now(),
+            lastError: null,
+            createdAt: new Date().toISOString(),
+            syncedAt: null
+        };
+
+        await this.withStore('readwrite', store => store.add(record));
+        this.notify();
+        return record;
+    }
+
+    /**
+     * Get a single outbox record
+     * @param {string} key - Record key, see recordKey()
+     * @returns {Promise<Object|undefined>}
+     */
+    get(key) {
+        return this.withStore('readonly', store => store.get(key));
+    }
+
+    /**
+     * Get every record still kept locally, delivered or not
+     * @returns {Promise<Array>}
+     */
+    getAll() {
+        return this.withStore('readonly', store => store.getAll());
+    }
+
+    /**
+     * Get all records still waiting for delivery
+     * @returns {Promise<Array>}
+     */
+    getPending() {
+        return this.withStore('readonly', store => store.index('status').getAll('pending'));
+    }
+
+    /**
+     * Count records still waiting for delivery
+     * @returns {Promise<number>}
+     */
+    countPending() {
+        return this.withStore('readonly', store => store.index('status').count('pending'));
+    }
+
+    /**
+     * Get all records the backend rejected; they are not retried until someone resolves them
+     * @returns {Promise<Array>}
+     */
+    getFailed() {
+        return this.withStore('readonly', store => store.index('status').getAll('failed'));
+    }
+
+    /**
+     * Put a rejected record back in the queue, e.g. after the data was corrected on the backend
+     * @param {string} key - Record key, see recordKey()
+     * @returns {Promise<void>}
+     */
+    async retry(key) {
+        const record = await this.get(key);
+        if (!record || record.status !== 'failed') return;
+
+        record.status = 'pending';
+        record.attempts = 0;
+        record.nextAttempt = Date.now();
+        await this.withStore('readwrite', store => store.put(record));
+        await this.flush();
+    }
+
+    /**
+     * Remove a rejected record from the outbox for good
+     * @param {string} key - Record key, see recordKey()
+     * @returns {Promise<void>}
+     */
+    async discard(key) {
+        const record = await this.get(key);
+        if (!record || record.status !== 'failed') return;
+
+        await this.withStore('readwrite', store => store.delete(key));
+        this.notify();
+    }
+
+    /**
+     * Send one record. When the backend refuses the token it was made with (typically a session
+     * that expired while the till was offline), it is sent once more with the current user's token.
+     * @param {Object} record - Outbox record
+     */
+    async deliver(record) {
+        const action = record.action || 'saveTransaction';
+        try {
+            await this.send(record.data, action, record.token || null);
+        } catch (error) {
+            const token = this.getToken();
+            if (TransactionQueue.rejectionOf(error) !== 'auth' || !token || token === record.token) {
+                throw error;
+            }
+            await this.send(record.data, action, token);
+            record.token = token;
+        }
+    }
+
+    /**
+     * Try to deliver every pending record that is due, then schedule the next retry
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.flushing || typeof this.send !== 'function') return;
+        this.flushing = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        try {
+            // Offline there is nothing to try; the online event flushes again
+            if (navigator.onLine === false) return;
+
+            const pending = await this.getPending();
+            const now = Date.now();
+            const due = pending
+                .filter(record => record.nextAttempt <= now)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+            for (const record of due) {
+                if (navigator.onLine === false) break;
+
+                try {
+                    await this.deliver(record);
+                    record.status = 'synced';
+                    record.syncedAt = new Date().toISOString();
+                    record.lastError = null;
+                } catch (error) {
+                    record.attempts += 1;
+                    record.lastError = error.message;
+                    if (TransactionQueue.rejectionOf(error)) {
+                        // Sending it again gets the same answer; it waits for someone to resolve it
+                        record.status = 'failed';
+                        console.error(`Transaction ${record.trxNumber} rejected by the backend:`, error.message);
+                    } else {
+                        record.nextAttempt = Date.now() + this.getRetryDelay(record.attempts);
+                        console.warn(`Transaction ${record.trxNumber} not delivered (attempt ${record.attempts}):`, error.message);
+                    }
+                }
+
+                await this.withStore('readwrite', store => store.put(record));
+            }
+
+            await this.pruneSynced();
+        } catch (error) {
+            console.error('Failed to flush transaction queue:', error);
+        } finally {
+            this.flushing = false;
+            this.notify();
+            await this.scheduleNext();
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter, capped at maxDelay
+     * @param {number} attempts - Number of failed attempts so far
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempts) {
+        const delay = Math.min(this.baseDelay * Math.pow(2, attempts - 1), this.maxDelay);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Schedule a flush for the earliest pending retry. Nothing is scheduled while offline:
+     * the records stay due and are flushed from the online event.
+     */
+    async scheduleNext() {
+        if (navigator.onLine === false) return;
+
+        try {
+            const pending = await this.getPending();
+            if (pending.length === 0) return;
+
+            const next = Math.min(...pending.map(record => record.nextAttempt));
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+        } catch (error) {
+            console.error('Failed to schedule transaction sync:', error);
+        }
+    }
+
+    /**
+     * Remove delivered records older than the retention window
+     */
+    async pruneSynced() {
+        const synced = await this.withStore('readonly', store => store.index('status').getAll('synced'));
+        const cutoff = Date.now() - this.syncedRetention;
+        const expired = synced.filter(record => new Date(record.syncedAt).getTime() < cutoff);
+        if (expired.length === 0) return;
+
+        await this.withStore('readwrite', store => {
+            expired.forEach(record => store.delete(record.trxNumber));
+        });
+    }
+
+    /**
+     * Subscribe to pending count changes
+     * @param {Function} listener - Called with the number of pending records and the number of failed records
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify listeners of the current pending and failed counts
+     */
+    async notify() {
+        if (this.listeners.length === 0) return;
+        try {
+            const count = await this.countPending();
+            const failed = await this.withStore('readonly', store => store.index('status').count('failed'));
+            this.listeners.forEach(listener => listener(count, failed));
+        } catch (error) {
+            console.error('Failed to count pending transactions:', error);
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransactionQueue;
+}
+
+// Global instance for direct usage
+window.TransactionQueue = TransactionQueue;
\ No newline at end of file
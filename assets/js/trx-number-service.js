@@ -0,0 +1,228 @@
+/**
+ * Transaction Number Service - Issues transaction numbers that are unique per store and till
+ * Sequences persist across reloads and are reconciled with (or issued by) the Apps Script WebApp
+ */
+
+const TILL_STORAGE_KEY = 'miniERP.tillId';
+const SEQUENCE_STORAGE_PREFIX = 'miniERP.trxSeq.';
+
+const DEFAULT_TRX_NUMBER_CONFIG = {
+    format: 'TRX-{store}{till}-{dd}{mm}{yyyy}{seq:5}',
+    reset: 'daily', // daily | monthly | yearly | never
+    issueFromBackend: false,
+    branches: {}
+};
+
+class TrxNumberService {
+    constructor() {
+        this.config = null;
+        this.settings = { ...DEFAULT_TRX_NUMBER_CONFIG };
+        this.storeCode = '';
+        this.tillId = '';
+        this.requestTimeout = 3000;
+
+        this.configReady = this.loadConfig();
+    }
+
+    /**
+     * Load configuration from config.json.
+     * TRX_NUMBER holds the default format; TRX_NUMBER.branches[STORE_CODE] overrides it per branch.
+     */
+    async loadConfig() {
+        this.config = await AppConfig.load();
+
+        const numbering = this.config.TRX_NUMBER || {};
+        this.storeCode = this.config.STORE_CODE || '01';
+        this.settings = {
+            ...DEFAULT_TRX_NUMBER_CONFIG,
+            ...numbering,
+            ...((numbering.branches || {})[this.storeCode] || {})
+        };
+        this.tillId = await this.getTillId();
+        this.pruneSequences(this.getPeriod(new Date()));
+
+        await this.reconcile();
+    }
+
+    /**
+     * Drop counters of past periods; the backend keeps the history
+     * @param {string} currentPeriod
+     */
+    pruneSequences(currentPeriod) {
+        const prefix = `${SEQUENCE_STORAGE_PREFIX}${this.storeCode}.${this.tillId}.`;
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(prefix) && key !== prefix + currentPeriod) {
+                localStorage.removeItem(key);
+            }
+        }
+    }
+
+    /**
+     * Till ID of this device: TILL_ID from config.json, else the ID the backend issued to this
+     * device (registerTill), kept in localStorage. Without either, e.g. a first start offline,
+     * a long provisional ID is used for this session and registration is retried on the next start.
+     * @returns {Promise<string>}
+     */
+    async getTillId() {
+        if (this.config.TILL_ID) return String(this.config.TILL_ID);
+
+        const stored = localStorage.getItem(TILL_STORAGE_KEY);
+        if (stored) return stored;
+
+        if (this.config.APPS_SCRIPT_URL) {
+            try {
+                const result = await this.request({ action: 'registerTill' });
+                if (result.tillId) {
+                    localStorage.setItem(TILL_STORAGE_KEY, String(result.tillId));
+                    return String(result.tillId);
+                }
+            } catch (error) {
+                console.warn('Failed to register till:', error.message);
+            }
+        }
+
+        console.warn('No TILL_ID configured or issued, using a provisional till ID');
+        return 'P' + crypto.randomUUID().replace(/-/g, '').slice(0, 10).toUpperCase();
+    }
+
+    /**
+     * Sequence period for a date, following the reset setting
+     * @param {Date} date
+     * @returns {string} e.g. '20251231', '202512', '2025' or 'all'
+     */
+    getPeriod(date) {
+        const yyyy = String(date.getFullYear());
+        const mm = String(date.getMonth() + 1).padStart(2, '0');
+        const dd = String(date.getDate()).padStart(2, '0');
+
+        switch (this.settings.reset) {
+            case 'never':
+                return 'all';
+            case 'yearly':
+                return yyyy;
+            case 'monthly':
+                return `${yyyy}${mm}`;
+            default:
+                return `${yyyy}${mm}${dd}`;
+        }
+    }
+
+    sequenceKey(period) {
+        return `${SEQUENCE_STORAGE_PREFIX}${this.storeCode}.${this.tillId}.${period}`;
+    }
+
+    getLastSequence(period) {
+        return Number(localStorage.getItem(this.sequenceKey(period))) || 0;
+    }
+
+    setLastSequence(period, seq) {
+        // Never move the counter backwards
+        if (seq > this.getLastSequence(period)) {
+            localStorage.setItem(this.sequenceKey(period), String(seq));
+        }
+    }
+
+    /**
+     * Issue the next transaction number.
+     * With issueFromBackend the Apps Script WebApp assigns the number; when it is unreachable
+     * the local counter is used, so sales continue offline.
+     * @returns {Promise<string>} Transaction number
+     */
+    async next() {
+        await this.configReady;
+        const now = new Date();
+        const period = this.getPeriod(now);
+
+        if (this.settings.issueFromBackend && this.config.APPS_SCRIPT_URL) {
+            try {
+                const result = await this.request({ action: 'issueTrxNumber', period });
+                if (result.trxNumber && result.seq) {
+                    this.setLastSequence(period, Number(result.seq));
+                    return result.trxNumber;
+                }
+            } catch (error) {
+                console.warn('Backend numbering unavailable, using local sequence:', error.message);
+            }
+        }
+
+        const seq = this.getLastSequence(period) + 1;
+        this.setLastSequence(period, seq);
+        return this.format(now, seq);
+    }
+
+    /**
+     * Bring the local counter up to the last sequence the backend has recorded for this till,
+     * e.g. after browser storage was cleared
+     */
+    async reconcile() {
+        if (!this.config.APPS_SCRIPT_URL) return;
+
+        const period = this.getPeriod(new Date());
+        try {
+            const result = await this.request({ action: 'reconcileTrxSequence', period });
+            this.setLastSequence(period, Number(result.lastSeq) || 0);
+        } catch (error) {
+            console.warn('Failed to reconcile transaction sequence:', error.message);
+        }
+    }
+
+    /**
+     * Render a transaction number from the configured format.
+     * Tokens: {store} {till} {yyyy} {yy} {mm} {dd} {seq} {seq:N} (N = zero padding)
+     * @param {Date} date
+     * @param {number} seq
+     * @returns {string}
+     */
+    format(date, seq) {
+        const yyyy = String(date.getFullYear());
+        const tokens = {
+            store: this.storeCode,
+            till: this.tillId,
+            yyyy: yyyy,
+            yy: yyyy.slice(-2),
+            mm: String(date.getMonth() + 1).padStart(2, '0'),
+            dd: String(date.getDate()).padStart(2, '0')
+        };
+
+        return this.settings.format.replace(/\{(\w+)(?::(\d+))?\}/g, (match, name, width) => {
+            if (name === 'seq') return String(seq).padStart(Number(width) || 0, '0');
+            return tokens[name] !== undefined ? tokens[name] : match;
+        });
+    }
+
+    /**
+     * POST a numbering request to the Apps Script WebApp, with a timeout
+     * @param {Object} payload
+     * @returns {Promise<Object>}
+     */
+    async request(payload) {
+        const result = await fetchJson(this.config.APPS_SCRIPT_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.config.SECRET_KEY}`
+            },
+            body: JSON.stringify({
+                ...payload,
+                store: this.storeCode,
+                till: this.tillId,
+                format: this.settings.format
+            }),
+            timeout: this.requestTimeout
+        });
+
+        if (!result.success) {
+            throw new Error(result.error || 'Numbering request failed');
+        }
+        return result;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrxNumberService;
+}
+
+// Global instance for direct usage
+window.TrxNumberService = TrxNumberService;
@@ -0,0 +1,92 @@
+/**
+ * Unit of Measure - Selling units of a product and their conversion to the base unit
+ * Stock is always counted in the base unit, taken from the sheet column mapped to `baseUnit`.
+ * Alternative units come from the sheet column mapped to `units`, written as "Palet=40@6400000; Rit=200" (unit=factor@price, price optional).
+ */
+
+class UnitOfMeasure {
+    /**
+     * Base unit of a product, e.g. 'Karung'. The weight text is only shown on the product card.
+     * @param {Object} product
+     * @returns {string}
+     */
+    static baseUnitOf(product) {
+        return String((product && product.baseUnit) || '').trim() || 'Unit';
+    }
+
+    /**
+     * Parse alternative units written as "Palet=40@6400000; Rit=200"
+     * @param {string|Array} value - Sheet text, or an already structured list
+     * @returns {Array<Object>} [{ unit, factor, price }], price null when not given
+     */
+    static parse(value) {
+        if (Array.isArray(value)) return value;
+
+        return String(value || '').split(/[;\n]/).map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(.+?)\s*=\s*([\d.,]+)\s*(?:@\s*(.+))?$/);
+            if (!match) {
+                console.warn(`Ignoring unit definition "${part}"`);
+                return null;
+            }
+            const factor = ColumnMapping.parseNumber(match[2]);
+            const price = match[3] !== undefined ? ColumnMapping.parseNumber(match[3]) : NaN;
+            if (!(factor > 0)) {
+                console.warn(`Ignoring unit "${match[1]}" without a valid conversion factor`);
+                return null;
+            }
+            return { unit: match[1].trim(), factor, price: isNaN(price) ? null : price };
+        }).filter(Boolean);
+    }
+
+    /**
+     * All selling units of a product, the base unit first.
+     * Units without their own price are priced at the base price times the factor.
+     * @param {Object} product
+     * @returns {Array<Object>} [{ unit, factor, price }]
+     */
+    static getUnits(product) {
+        const baseUnit = UnitOfMeasure.baseUnitOf(product);
+        const units = [{ unit: baseUnit, factor: 1, price: product.price }];
+
+        UnitOfMeasure.parse(product.units).forEach(definition => {
+            if (definition.unit === baseUnit) return;
+            units.push({
+                unit: definition.unit,
+                factor: definition.factor,
+                price: definition.price !== null && definition.price !== undefined
+                    ? definition.price
+                    : product.price * definition.factor
+            });
+        });
+        return units;
+    }
+
+    /**
+     * A selling unit of a product by name, falling back to the base unit
+     * @param {Object} product
+     * @param {string} [unitName]
+     * @returns {Object} { unit, factor, price }
+     */
+    static findUnit(product, unitName) {
+        const units = UnitOfMeasure.getUnits(product);
+        return units.find(unit => unit.unit === unitName) || units[0];
+    }
+
+    /**
+     * Option label for a unit, e.g. 'Palet (40 Karung)'
+     * @param {Object} unit
+     * @param {string} baseUnit
+     * @returns {string}
+     */
+    static describe(unit, baseUnit) {
+        return unit.factor === 1 ? unit.unit : `${unit.unit} (${unit.factor} ${baseUnit})`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UnitOfMeasure;
+}
+
+// Global instance for direct usage
+window.UnitOfMeasure = UnitOfMeasure;
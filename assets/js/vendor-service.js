@@ -0,0 +1,396 @@
+/**
+ * Vendor Service - Supplier master data and accounts payable (hutang)
+ * Products name their vendor in the nama_vendor column; that name (or a vendor ID) is matched against
+ * the vendor master. Supplier invoices are paid in one or more payments and aged by due date; they
+ * are kept by the Apps Script WebApp and cached on this device, so every till sees the same balances.
+ */
+
+const VENDORS_STORAGE_KEY = 'miniERP.vendors';
+const PAYABLES_STORAGE_KEY = 'miniERP.payables';
+
+const DEFAULT_VENDOR_CONFIG = {
+    paymentTermDays: 30
+};
+
+const SUPPLIER_PAYMENT_METHODS = {
+    transfer: 'Transfer bank',
+    cash: 'Tunai'
+};
+
+class VendorService {
+    constructor() {
+        this.config = null;
+        this.settings = { ...DEFAULT_VENDOR_CONFIG };
+        this.accessControl = null; // set by MiniERP after login
+        this.submit = null; // async (record, action) => result, delivers records through the offline outbox; set by MiniERP
+        this.requestTimeout = 3000;
+
+        this.configReady = this.loadConfig();
+    }
+
+    /**
+     * Load the VENDORS section of config.json and refresh the vendor master from the backend
+     */
+    async loadConfig() {
+        this.config = await AppConfig.load();
+
+        this.settings = { ...DEFAULT_VENDOR_CONFIG, ...(this.config.VENDORS || {}) };
+        await this.syncVendors();
+        await this.syncPayables();
+    }
+
+    /**
+     * Merge the vendors kept by the backend into the local list; vendors saved offline are kept
+     */
+    async syncVendors() {
+        if (!this.config.APPS_SCRIPT_URL) return;
+
+        try {
+            const data = await fetchJson(`${this.config.APPS_SCRIPT_URL}?action=getVendors`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.config.SECRET_KEY}`
+                }
+            });
+            const vendors = this.list();
+            (data.vendors || []).forEach(remote => {
+                const index = vendors.findIndex(vendor => vendor.id === remote.id);
+                if (index === -1) {
+                    vendors.push(remote);
+                } else {
+                    vendors[index] = { ...vendors[index], ...remote };
+                }
+            });
+            this.save(vendors);
+        } catch (error) {
+            console.warn('Failed to refresh vendors, using the local list:', error.message);
+        }
+    }
+
+    readStorage(key) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key) || '[]');
+            return Array.isArray(value) ? value : [];
+        } catch (error) {
+            console.error(`Failed to read ${key}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * @returns {Array<Object>} Vendors { id, name, contact, phone, email, address, paymentTermDays, bankName, bankAccount, accountHolder, taxId }
+     */
+    list() {
+        return this.readStorage(VENDORS_STORAGE_KEY)
+            .sort((a, b) => a.name.localeCompare(b.name, 'id'));
+    }
+
+    save(vendors) {
+        localStorage.setItem(VENDORS_STORAGE_KEY, JSON.stringify(vendors));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.list().find(vendor => vendor.id === id) || null;
+    }
+
+    /**
+     * Vendor by ID or by name, as written in a product's vendor column or on a purchase order
+     * @param {string} reference
+     * @returns {Object|null}
+     */
+    find(reference) {
+        const key = String(reference || '').trim().toLowerCase();
+        if (!key) return null;
+        return this.list().find(vendor => vendor.id.toLowerCase() === key || vendor.name.trim().toLowerCase() === key) || null;
+    }
+
+    /**
+     * Vendor master entry of a product
+     * @param {Object} product
+     * @returns {Object|null}
+     */
+    findForProduct(product) {
+        return this.find(product.vendor);
+    }
+
+    /**
+     * Vendor names for choosing a supplier: the vendor master plus names found only on products
+     * @param {Array<Object>} products
+     * @returns {string[]}
+     */
+    getNames(products) {
+        const names = this.list().map(vendor => vendor.name);
+        PurchaseService.getVendors(products).forEach(name => {
+            if (!this.find(name)) names.push(name);
+        });
+        return names.sort((a, b) => a.localeCompare(b, 'id'));
+    }
+
+    /**
+     * Create a vendor, or update it when data.id is given
+     * @param {Object} data - { id, name, contact, phone, email, address, paymentTermDays, bankName, bankAccount, accountHolder, taxId }
+     * @returns {Object} Vendor
+     */
+    saveVendor(data) {
+        this.requirePermission('vendor.manage');
+
+        const name = String(data.name || '').trim();
+        if (!name) {
+            throw new Error('Nama vendor wajib diisi');
+        }
+        const vendors = this.list();
+        const duplicate = vendors.find(vendor => vendor.id !== data.id && vendor.name.trim().toLowerCase() === name.toLowerCase());
+        if (duplicate) {
+            throw new Error(`Vendor ${duplicate.name} sudah terdaftar`);
+        }
+        const taxId = String(data.taxId || '').trim();
+        if (taxId && !/^\d{15,16}$/.test(taxId.replace(/[.\-\s]/g, ''))) {
+            throw new Error('NPWP harus 15 atau 16 digit');
+        }
+
+        const termDays = data.paymentTermDays === undefined || data.paymentTermDays === null || data.paymentTermDays === ''
+            ? NaN
+            : Number(data.paymentTermDays);
+
+        const existing = data.id ? vendors.find(vendor => vendor.id === data.id) : null;
+        const text = (field) => String(data[field] || '').trim();
+        const vendor = {
+            id: existing ? existing.id : RecordId.create('V'),
+            name,
+            contact: text('contact'),
+            phone: text('phone'),
+            email: text('email'),
+            address: text('address'),
+            paymentTermDays: termDays >= 0 ? termDays : this.settings.paymentTermDays,
+            bankName: text('bankName'),
+            bankAccount: text('bankAccount'),
+            accountHolder: text('accountHolder'),
+            taxId,
+            updatedAt: new Date().toISOString(),
+            updatedBy: this.accessControl.getCashier()
+        };
+        this.save(existing
+            ? vendors.map(entry => (entry.id === vendor.id ? { ...entry, ...vendor } : entry))
+            : [...vendors, vendor]);
+
+        // Outbox records are keyed by trxNumber and action; the update time keeps edits of one vendor apart
+        this.deliver({ trxNumber: `${vendor.id}@${vendor.updatedAt}`, vendor }, 'saveVendor');
+        return vendor;
+    }
+
+    /**
+     * Vendor master entry for a name, registered with default terms when the name is new
+     * @param {string} name
+     * @returns {Object} Vendor
+     */
+    ensureVendor(name) {
+        return this.find(name) || this.saveVendor({ name });
+    }
+
+    requirePermission(permission) {
+        if (!this.accessControl) {
+            throw new AccessDeniedError(permission);
+        }
+        this.accessControl.require(permission);
+    }
+
+    deliver(record, action) {
+        if (!this.submit) return;
+        this.submit(record, action).catch(error => console.error(`Failed to record ${action}:`, error));
+    }
+
+    /**
+     * Refresh the supplier invoice cache from the backend (getPayables), which holds the invoices
+     * recorded on every till. Invoices this till has not delivered yet are kept; for an invoice known
+     * on both sides the one with more payments recorded wins.
+     */
+    async syncPayables() {
+        if (!this.config.APPS_SCRIPT_URL) return;
+
+        try {
+            const data = await fetchJson(`${this.config.APPS_SCRIPT_URL}?action=getPayables`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.config.SECRET_KEY}`
+                },
+                timeout: this.requestTimeout
+            });
+            if (!Array.isArray(data.payables)) {
+                throw new Error('getPayables did not return a list');
+            }
+
+            const payables = this.listPayables();
+            data.payables.forEach(remote => {
+                const index = payables.findIndex(entry => entry.id === remote.id);
+                if (index === -1) {
+                    payables.push({ payments: [], ...remote });
+                } else if ((Number(remote.paid) || 0) >= (Number(payables[index].paid) || 0)) {
+                    payables[index] = { ...payables[index], ...remote };
+                }
+            });
+            this.savePayables(payables);
+        } catch (error) {
+            console.warn('Failed to refresh supplier invoices, using the local list:', error.message);
+        }
+    }
+
+    /**
+     * Supplier invoices cached on this device, see syncPayables()
+     * @returns {Array<Object>} [{ id, invoiceNumber, vendorId, poNumber, receiptNumber, date, dueDate, amount, paid, payments }]
+     */
+    listPayables() {
+        return this.readStorage(PAYABLES_STORAGE_KEY);
+    }
+
+    savePayables(payables) {
+        localStorage.setItem(PAYABLES_STORAGE_KEY, JSON.stringify(payables));
+    }
+
+    /**
+     * Unpaid supplier invoices, earliest due first
+     * @param {string} [vendorId] - Only this vendor's invoices
+     * @returns {Array<Object>}
+     */
+    getOpenPayables(vendorId) {
+        return this.listPayables()
+            .filter(entry => entry.amount - entry.paid > 0 && (!vendorId || entry.vendorId === vendorId))
+            .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    }
+
+    /**
+     * Record a supplier invoice. The due date follows the vendor's payment terms unless given.
+     * @param {Object} data - { vendorId, invoiceNumber, amount, date, dueDate, poNumber, receiptNumber }
+     * @returns {Object} Payable
+     */
+    recordInvoice(data) {
+        this.requirePermission('payables.manage');
+
+        const vendor = this.get(data.vendorId);
+        if (!vendor) {
+            throw new Error(`Vendor ${data.vendorId} not found`);
+        }
+        const invoiceNumber = String(data.invoiceNumber || '').trim();
+        if (!invoiceNumber) {
+            throw new Error('Nomor faktur wajib diisi');
+        }
+        const amount = Number(data.amount);
+        if (!(amount > 0)) {
+            throw new Error('Nilai faktur harus lebih dari nol');
+        }
+        const payables = this.listPayables();
+        if (payables.some(entry => entry.vendorId === vendor.id && entry.invoiceNumber === invoiceNumber)) {
+            throw new Error(`Faktur ${invoiceNumber} dari ${vendor.name} sudah dicatat`);
+        }
+
+        const date = data.date ? new Date(data.date) : new Date();
+        const payable = {
+            id: RecordId.create('AP-'),
+            invoiceNumber,
+            vendorId: vendor.id,
+            poNumber: data.poNumber || null,
+            receiptNumber: data.receiptNumber || null,
+            date: date.toISOString(),
+            dueDate: data.dueDate
+                ? new Date(data.dueDate).toISOString()
+                : new Date(date.getTime() + vendor.paymentTermDays * DAY_MS).toISOString(),
+            amount,
+            paid: 0,
+            payments: [],
+            recordedBy: this.accessControl.getCashier()
+        };
+        this.savePayables([...payables, payable]);
+
+        this.deliver({ trxNumber: payable.id, ...payable }, 'saveSupplierInvoice');
+        return payable;
+    }
+
+    /**
+     * Pay a supplier invoice in full or in part
+     * @param {string} payableId
+     * @param {number} amount
+     * @param {string} method - transfer or cash
+     * @param {string} [reference] - Bank transfer reference
+     * @returns {Object} Payment { paymentNumber, payableId, invoiceNumber, vendorId, amount, method, reference, paidAt, paidBy }
+     */
+    payInvoice(payableId, amount, method, reference = '') {
+        this.requirePermission('payables.manage');
+
+        const payables = this.listPayables();
+        const payable = payables.find(entry => entry.id === payableId);
+        if (!payable) {
+            throw new Error(`Supplier invoice ${payableId} not found`);
+        }
+        if (!(amount > 0)) {
+            throw new Error('Nominal pembayaran harus lebih dari nol');
+        }
+        if (amount > payable.amount - payable.paid) {
+            throw new Error('Pembayaran melebihi sisa hutang faktur ini');
+        }
+        if (!SUPPLIER_PAYMENT_METHODS[method]) {
+            throw new Error(`Unknown payment method: ${method}`);
+        }
+
+        const payment = {
+            paymentNumber: RecordId.create('PV-'),
+            payableId,
+            invoiceNumber: payable.invoiceNumber,
+            vendorId: payable.vendorId,
+            amount,
+            method,
+            reference: String(reference || '').trim(),
+            paidAt: new Date().toISOString(),
+            paidBy: this.accessControl.getCashier()
+        };
+        payable.paid += amount;
+        payable.payments.push({ paymentNumber: payment.paymentNumber, amount, method, date: payment.paidAt });
+        this.savePayables(payables);
+
+        this.deliver({ trxNumber: payment.paymentNumber, ...payment }, 'paySupplierInvoice');
+        return payment;
+    }
+
+    /**
+     * Aging report of unpaid supplier invoices per vendor, largest balance first
+     * @param {Date} [asOf]
+     * @returns {Array<Object>} [{ vendor, balance, overdue, aging: { bucket: amount }, payables }]
+     */
+    getAgingReport(asOf = new Date()) {
+        const rows = {};
+
+        this.getOpenPayables().forEach(entry => {
+            if (!rows[entry.vendorId]) {
+                rows[entry.vendorId] = {
+                    vendor: this.get(entry.vendorId) || { id: entry.vendorId, name: entry.vendorId },
+                    balance: 0,
+                    overdue: 0,
+                    aging: Aging.emptyBuckets(),
+                    payables: []
+                };
+            }
+
+            const row = rows[entry.vendorId];
+            const outstanding = entry.amount - entry.paid;
+            const daysPastDue = Aging.daysPastDue(entry.dueDate, asOf);
+            row.balance += outstanding;
+            if (daysPastDue > 0) row.overdue += outstanding;
+            row.aging[Aging.bucket(daysPastDue)] += outstanding;
+            row.payables.push({ ...entry, outstanding, daysPastDue });
+        });
+
+        return Object.values(rows).sort((a, b) => b.balance - a.balance);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VendorService;
+}
+
+// Global instance for direct usage
+window.VendorService = VendorService;
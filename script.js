@@ -1,120 +1,2271 @@
 // Mini ERP JavaScript Functionality
 class MiniERP {
     constructor() {
+        this.authService = new AuthService();
         this.inventoryService = new InventoryService();
-        this.currentCategory = 'semen';
+        this.trxNumberService = new TrxNumberService();
+        this.receiptService = new ReceiptService();
+        this.qrisService = new QrisService();
+        this.categoryService = new CategoryService();
+        this.customerService = new CustomerService();
+        this.purchaseService = new PurchaseService();
+        this.vendorService = new VendorService();
+        this.currentCategory = null;
         this.selectedProduct = 'semen-rajawali';
+        this.pendingApproval = null;
+        this.pendingDiscount = null;
+        this.pendingCustomer = null;
+        this.statementCustomerId = null;
+        this.purchaseLines = []; // lines of the purchase order being written
+        this.purchaseOrderNumber = null; // order shown for receiving goods
+        this.payablesVendorId = null; // vendor whose invoices are shown for payment
+        this.marginGroup = 'product';
+        this.marginSales = null; // { transactions, from, source } of the margin report period
+        this.reorderDraft = []; // suggested purchase orders per vendor, see StockAlerts.reorderSuggestions()
+        this.reorderBasis = null; // { salesDays, salesSource, complete } the draft was built from
         
+        this.start();
+    }
+    
+    async start() {
+        // Auth guard: redirects to the login page when there is no valid session
+        const session = await this.authService.requireAuth();
+        if (!session) return;
+
+        this.accessControl = new AccessControl(session.user, this.authService.config.ROLE_PERMISSIONS);
+        this.inventoryService.accessControl = this.accessControl;
+        this.inventoryService.authToken = this.authService.getToken();
+        this.trxNumberService.configReady.then(() => {
+            this.inventoryService.terminal = { storeCode: this.trxNumberService.storeCode, tillId: this.trxNumberService.tillId };
+        });
+        this.inventoryService.approvalHandler = (message, permission) => this.requestApproval(message, permission);
+        this.inventoryService.onStockConflict = (conflicts) => this.handleStockConflicts(conflicts);
+        this.inventoryService.onLowStock = (products) => this.notifyLowStock(products);
+        this.inventoryService.discountHandler = (request) => this.requestDiscount(request);
+        this.customerService.accessControl = this.accessControl;
+        this.customerService.submit = (record, action) => this.inventoryService.submitTransaction(record, action);
+        this.purchaseService.accessControl = this.accessControl;
+        this.purchaseService.submit = (record, action) => this.inventoryService.submitTransaction(record, action);
+        this.vendorService.accessControl = this.accessControl;
+        this.vendorService.submit = (record, action) => this.inventoryService.submitTransaction(record, action);
+
+        if (window.toastr) {
+            window.toastr.options = { closeButton: true, newestOnTop: true, positionClass: 'toast-top-right', timeOut: 8000 };
+        }
+
+        this.barcodeScanner = new BarcodeScanner(this.authService.config.SCANNER);
+        this.barcodeScanner.onScan = (code, source) => {
+            if (source === 'camera') this.closeScanner();
+            this.handleScan(code);
+        };
+        // Scans belong to the product screen; in an open dialog the code stays in the field it was typed into
+        this.barcodeScanner.isActive = () => !this.isModalOpen();
+
         this.init();
     }
     
-    async init() {
-        this.bindEvents();
-        await this.loadInventory();
-        this.initializeCart();
+    async init() {
+        this.bindEvents();
+        this.bindScanner();
+        this.renderUser();
+        this.applyPermissions();
+        this.bindSyncStatus();
+        await this.loadInventory();
+        await this.loadCategories();
+        this.initializeCart();
+        this.updateParkedCount();
+    }
+    
+    bindEvents() {
+        // Search functionality
+        const searchInput = document.getElementById('searchInput');
+        const searchBtn = document.getElementById('searchBtn');
+        
+        searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
+        searchBtn.addEventListener('click', () => this.handleSearch(searchInput.value));
+        searchInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.handleSearch(e.target.value);
+            }
+        });
+        
+        // Stock and price filters
+        const inStockOnly = document.getElementById('inStockOnly');
+        if (inStockOnly) inStockOnly.addEventListener('change', (e) => this.inventoryService.setQuery({ inStockOnly: e.target.checked }));
+        ['minPrice', 'maxPrice'].forEach(field => {
+            const input = document.getElementById(`${field}Input`);
+            if (!input) return;
+            input.addEventListener('input', (e) => {
+                const value = e.target.value === '' ? null : Number(e.target.value);
+                this.inventoryService.setQuery({ [field]: Number.isFinite(value) ? value : null });
+            });
+        });
+        
+        // Category selection (the list is generated from the inventory)
+        const categoryList = document.getElementById('categoryList');
+        if (categoryList) {
+            categoryList.addEventListener('change', (e) => {
+                if (e.target.name === 'category') this.selectCategory(e.target.value);
+            });
+        }
+        
+        // Checkout button
+        const checkoutBtn = document.getElementById('checkoutBtn');
+        checkoutBtn.addEventListener('click', () => this.handleCheckout());
+        
+        // Parked sales
+        const parkSaleBtn = document.getElementById('parkSaleBtn');
+        const recallSaleBtn = document.getElementById('recallSaleBtn');
+        const parkForm = document.getElementById('parkForm');
+        const parkedList = document.getElementById('parkedList');
+        if (parkSaleBtn) parkSaleBtn.addEventListener('click', () => this.openParkSale());
+        if (recallSaleBtn) recallSaleBtn.addEventListener('click', () => this.openParkedSales());
+        if (parkForm) parkForm.addEventListener('submit', (e) => this.submitParkSale(e));
+        ['parkOverlay', 'parkCloseBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', () => this.closeModal('park'));
+        });
+        ['recallOverlay', 'recallCloseBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', () => this.closeModal('recall'));
+        });
+        if (parkedList) {
+            parkedList.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-parked-action]');
+                if (btn) this.handleParkedAction(btn.dataset.parkedAction, btn.dataset.id);
+            });
+        }
+        
+        // Records the backend rejected
+        const syncFailedStatus = document.getElementById('syncFailedStatus');
+        const syncFailedList = document.getElementById('syncFailedList');
+        if (syncFailedStatus) syncFailedStatus.addEventListener('click', () => this.openSyncFailed());
+        ['syncFailedOverlay', 'syncFailedCloseBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', () => this.closeModal('syncFailed'));
+        });
+        if (syncFailedList) {
+            syncFailedList.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-sync-action]');
+                if (btn) this.handleSyncFailedAction(btn.dataset.syncAction, btn.dataset.key);
+            });
+        }
+        // Another tab of this till may park or recall sales
+        window.addEventListener('storage', (e) => {
+            if (e.key === PARKED_SALES_STORAGE_KEY) this.updateParkedCount();
+        });
+        
+        // Customers
+        const customerBtn = document.getElementById('customerBtn');
+        const customerSearch = document.getElementById('customerSearch');
+        const customerResults = document.getElementById('customerResults');
+        const customerForm = document.getElementById('customerForm');
+        if (customerBtn) customerBtn.addEventListener('click', () => this.pickCustomer());
+        if (customerSearch) customerSearch.addEventListener('input', (e) => this.renderCustomerResults(e.target.value));
+        if (customerResults) {
+            customerResults.addEventListener('click', (e) => {
+                const result = e.target.closest('[data-customer-id]');
+                if (result) this.closeCustomerPicker(this.customerService.get(result.dataset.customerId));
+            });
+        }
+        if (customerForm) customerForm.addEventListener('submit', (e) => this.submitCustomer(e));
+        const customerNewBtn = document.getElementById('customerNewBtn');
+        const customerBackBtn = document.getElementById('customerBackBtn');
+        const customerClearBtn = document.getElementById('customerClearBtn');
+        if (customerNewBtn) customerNewBtn.addEventListener('click', () => this.showCustomerForm(true));
+        if (customerBackBtn) customerBackBtn.addEventListener('click', () => this.showCustomerForm(false));
+        if (customerClearBtn) customerClearBtn.addEventListener('click', () => this.closeCustomerPicker(null));
+        ['customerOverlay', 'customerCloseBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', () => this.closeCustomerPicker(undefined));
+        });
+        
+        // Receivables statement
+        const receivablesBtn = document.getElementById('receivablesBtn');
+        const statementContent = document.getElementById('statementContent');
+        const statementDetail = document.getElementById('statementDetail');
+        if (receivablesBtn) receivablesBtn.addEventListener('click', () => this.openStatement());
+        if (statementContent) {
+            statementContent.addEventListener('click', (e) => {
+                const row = e.target.closest('[data-customer-id]');
+                if (row) this.renderStatementDetail(row.dataset.customerId);
+            });
+        }
+        if (statementDetail) statementDetail.addEventListener('submit', (e) => this.submitReceivablePayment(e));
+        ['statementOverlay', 'statementCloseBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', () => this.closeModal('statement'));
+        });
+        
+        // Low stock and reorder suggestions
+        const lowStockContent = document.getElementById('lowStockContent');
+        ['lowStockStatus', 'lowStockBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', () => this.openLowStock());
+        });
+        document.querySelectorAll('[data-low-stock-view]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.showLowStockView(e.currentTarget.dataset.lowStockView));
+        });
+        if (lowStockContent) {
+            lowStockContent.addEventListener('click', (e) => {
+                const orderBtn = e.target.closest('[data-reorder-group]');
+                if (orderBtn) this.draftReorderPurchase(Number(orderBtn.dataset.reorderGroup));
+            });
+            lowStockContent.addEventListener('change', (e) => {
+                if (e.target.dataset.reorderLine) this.updateReorderQuantity(e.target);
+            });
+        }
+        ['lowStockOverlay', 'lowStockCloseBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', () => this.closeModal('lowStock'));
+        });
+        
+        // Stock card, adjustments and stock opname
+        const stockBtn = document.getElementById('stockBtn');
+        const stockCardProduct = document.getElementById('stockCardProduct');
+        const stockAdjustForm = document.getElementById('stockAdjustForm');
+        const opnameContent = document.getElementById('opnameContent');
+        if (stockBtn) stockBtn.addEventListener('click', () => this.openStock());
+        document.querySelectorAll('[data-stock-view]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.showStockView(e.currentTarget.dataset.stockView));
+        });
+        if (stockCardProduct) stockCardProduct.addEventListener('change', () => this.renderStockCard());
+        if (stockAdjustForm) stockAdjustForm.addEventListener('submit', (e) => this.submitStockAdjustment(e));
+        const adjustType = document.getElementById('adjustType');
+        if (adjustType) adjustType.addEventListener('change', () => this.toggleAdjustLocation());
+        if (opnameContent) {
+            opnameContent.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-opname-action]');
+                if (btn) this.handleOpnameAction(btn.dataset.opnameAction);
+            });
+            opnameContent.addEventListener('change', (e) => {
+                if (e.target.dataset.opnameSku) this.updateOpnameCount(e.target);
+            });
+        }
+        ['stockOverlay', 'stockCloseBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', () => this.closeModal('stock'));
+        });
+        
+        // Purchasing
+        const purchaseBtn = document.getElementById('purchaseBtn');
+        const purchaseOrderList = document.getElementById('purchaseOrderList');
+        const purchaseOrderDetail = document.getElementById('purchaseOrderDetail');
+        const purchaseForm = document.getElementById('purchaseForm');
+        const purchaseLines = document.getElementById('purchaseLines');
+        if (purchaseBtn) purchaseBtn.addEventListener('click', () => this.openPurchasing());
+        document.querySelectorAll('[data-purchase-view]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.showPurchaseView(e.currentTarget.dataset.purchaseView));
+        });
+        if (purchaseOrderList) {
+            purchaseOrderList.addEventListener('click', (e) => {
+                const row = e.target.closest('[data-po-number]');
+                if (row) this.renderPurchaseOrderDetail(row.dataset.poNumber);
+            });
+        }
+        if (purchaseOrderDetail) purchaseOrderDetail.addEventListener('submit', (e) => this.submitGoodsReceipt(e));
+        if (purchaseForm) purchaseForm.addEventListener('submit', (e) => this.submitPurchaseOrder(e));
+        const purchaseVendor = document.getElementById('purchaseVendor');
+        const purchaseProduct = document.getElementById('purchaseProduct');
+        const purchaseAddLineBtn = document.getElementById('purchaseAddLineBtn');
+        if (purchaseVendor) purchaseVendor.addEventListener('change', () => this.renderPurchaseProducts());
+        if (purchaseProduct) purchaseProduct.addEventListener('change', () => this.fillPurchaseCost());
+        if (purchaseAddLineBtn) purchaseAddLineBtn.addEventListener('click', () => this.addPurchaseLine());
+        if (purchaseLines) {
+            purchaseLines.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('[data-line-index]');
+                if (!removeBtn) return;
+                this.purchaseLines.splice(Number(removeBtn.dataset.lineIndex), 1);
+                this.renderPurchaseLines();
+            });
+        }
+        ['purchaseOverlay', 'purchaseCloseBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', () => this.closeModal('purchase'));
+        });
+        
+        // Vendors and payables
+        const payablesBtn = document.getElementById('payablesBtn');
+        const payablesContent = document.getElementById('payablesContent');
+        const payablesDetail = document.getElementById('payablesDetail');
+        const vendorList = document.getElementById('vendorList');
+        const vendorForm = document.getElementById('vendorForm');
+        const invoiceForm = document.getElementById('invoiceForm');
+        const vendorResetBtn = document.getElementById('vendorResetBtn');
+        if (payablesBtn) payablesBtn.addEventListener('click', () => this.openVendors());
+        document.querySelectorAll('[data-vendor-view]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.showVendorView(e.currentTarget.dataset.vendorView));
+        });
+        if (payablesContent) {
+            payablesContent.addEventListener('click', (e) => {
+                const row = e.target.closest('[data-vendor-id]');
+                if (row) this.renderPayablesDetail(row.dataset.vendorId);
+            });
+        }
+        if (payablesDetail) {
+            payablesDetail.addEventListener('submit', (e) => this.submitSupplierPayment(e));
+            payablesDetail.addEventListener('change', (e) => {
+                if (e.target.id === 'payableSelect') this.fillSupplierPaymentAmount();
+            });
+        }
+        if (vendorList) {
+            vendorList.addEventListener('click', (e) => {
+                const row = e.target.closest('[data-vendor-id]');
+                if (row) this.fillVendorForm(row.dataset.vendorId);
+            });
+        }
+        if (vendorForm) vendorForm.addEventListener('submit', (e) => this.submitVendor(e));
+        if (vendorResetBtn) vendorResetBtn.addEventListener('click', () => this.fillVendorForm(null));
+        if (invoiceForm) invoiceForm.addEventListener('submit', (e) => this.submitSupplierInvoice(e));
+        ['vendorOverlay', 'vendorCloseBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', () => this.closeModal('vendor'));
+        });
+        
+        // Supervisor actions
+        const voidTrxBtn = document.getElementById('voidTrxBtn');
+        if (voidTrxBtn) voidTrxBtn.addEventListener('click', () => this.handleVoidTransaction());
+        
+        const cashReportBtn = document.getElementById('cashReportBtn');
+        if (cashReportBtn) cashReportBtn.addEventListener('click', () => this.openCashDrawerReport());
+        
+        // Supervisor approval modal
+        const approvalForm = document.getElementById('approvalForm');
+        const approvalOverlay = document.getElementById('approvalOverlay');
+        const approvalCloseBtn = document.getElementById('approvalCloseBtn');
+        if (approvalForm) approvalForm.addEventListener('submit', (e) => this.submitApproval(e));
+        if (approvalOverlay) approvalOverlay.addEventListener('click', () => this.closeApproval(null));
+        if (approvalCloseBtn) approvalCloseBtn.addEventListener('click', () => this.closeApproval(null));
+        
+        // Discounts
+        const orderDiscountBtn = document.getElementById('orderDiscountBtn');
+        if (orderDiscountBtn) orderDiscountBtn.addEventListener('click', () => this.inventoryService.editDiscount());
+        
+        const discountForm = document.getElementById('discountForm');
+        const discountOverlay = document.getElementById('discountOverlay');
+        const discountCloseBtn = document.getElementById('discountCloseBtn');
+        const discountRemoveBtn = document.getElementById('discountRemoveBtn');
+        const discountValue = document.getElementById('discountValue');
+        if (discountForm) discountForm.addEventListener('submit', (e) => this.submitDiscount(e));
+        if (discountOverlay) discountOverlay.addEventListener('click', () => this.closeDiscount(null));
+        if (discountCloseBtn) discountCloseBtn.addEventListener('click', () => this.closeDiscount(null));
+        if (discountRemoveBtn) discountRemoveBtn.addEventListener('click', () => this.closeDiscount(false));
+        if (discountValue) discountValue.addEventListener('input', () => this.updateDiscountPreview());
+        document.querySelectorAll('[data-discount-type]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.setDiscountType(e.currentTarget.dataset.discountType));
+        });
+        
+        const marginReportBtn = document.getElementById('marginReportBtn');
+        const marginPeriod = document.getElementById('marginPeriod');
+        if (marginReportBtn) marginReportBtn.addEventListener('click', () => this.openMarginReport());
+        if (marginPeriod) marginPeriod.addEventListener('change', () => this.loadMarginSales());
+        document.querySelectorAll('[data-margin-group]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.marginGroup = e.currentTarget.dataset.marginGroup;
+                this.renderMarginReport();
+            });
+        });
+        ['marginOverlay', 'marginCloseBtn'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', () => this.closeModal('margin'));
+        });
+        
+        const reportOverlay = document.getElementById('reportOverlay');
+        const reportCloseBtn = document.getElementById('reportCloseBtn');
+        if (reportOverlay) reportOverlay.addEventListener('click', () => this.closeCashDrawerReport());
+        if (reportCloseBtn) reportCloseBtn.addEventListener('click', () => this.closeCashDrawerReport());
+        
+        // Pagination (buttons are re-rendered for every page)
+        const paginationControls = document.getElementById('paginationControls');
+        if (paginationControls) {
+            paginationControls.addEventListener('click', (e) => {
+                const btn = e.target.closest('.page-btn');
+                if (btn && !btn.disabled) this.handlePagination(btn.dataset.page);
+            });
+        }
+    }
+    
+    renderUser() {
+        const user = this.authService.getUser();
+        const userName = document.getElementById('userName');
+        const userRole = document.getElementById('userRole');
+        if (userName && user) userName.textContent = user.name || user.email;
+        if (userRole) userRole.textContent = this.accessControl.getRoleLabel();
+
+        const logoutBtn = document.getElementById('logoutBtn');
+        if (logoutBtn) logoutBtn.addEventListener('click', () => this.authService.logout());
+    }
+    
+    applyPermissions() {
+        // Hide controls the current role may not use
+        document.querySelectorAll('[data-permission]').forEach(el => {
+            el.style.display = this.accessControl.can(el.dataset.permission) ? '' : 'none';
+        });
+    }
+    
+    bindSyncStatus() {
+        const syncStatus = document.getElementById('syncStatus');
+        const syncPendingCount = document.getElementById('syncPendingCount');
+        if (!syncStatus || !syncPendingCount) return;
+
+        const syncFailedStatus = document.getElementById('syncFailedStatus');
+        const syncFailedCount = document.getElementById('syncFailedCount');
+        this.inventoryService.onPendingSyncChange((count, failed) => {
+            syncPendingCount.textContent = count;
+            syncStatus.classList.toggle('has-pending', count > 0);
+            if (syncFailedStatus && syncFailedCount) {
+                syncFailedCount.textContent = failed;
+                syncFailedStatus.style.display = failed > 0 ? '' : 'none';
+            }
+        });
+    }
+    
+    async openSyncFailed() {
+        await this.renderSyncFailed();
+        this.openModal('syncFailed');
+    }
+    
+    /**
+     * Records the backend rejected (e.g. an expired session or invalid data); they are not retried
+     * automatically, so each one is sent again or discarded here
+     */
+    async renderSyncFailed() {
+        const list = document.getElementById('syncFailedList');
+        const records = await this.inventoryService.getFailedTransactions();
+        if (records.length === 0) {
+            list.innerHTML = '<div class="report-note">Tidak ada transaksi yang ditolak server.</div>';
+            return;
+        }
+
+        const canDiscard = this.accessControl.can('sync.discard');
+        list.innerHTML = records
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(record => `
+                <div class="parked-entry">
+                    <div class="parked-entry-info">
+                        <div class="parked-entry-name">${escapeHtml(record.data.trxNumber)}</div>
+                        <div class="parked-entry-note">${escapeHtml(record.lastError || '-')}</div>
+                        <div class="parked-entry-meta">${escapeHtml(record.action || 'saveTransaction')} · ${new Date(record.createdAt).toLocaleString('id-ID')}</div>
+                    </div>
+                    <div class="parked-entry-actions">
+                        <button class="primary-btn" type="button" data-sync-action="retry" data-key="${escapeHtml(record.trxNumber)}">Kirim ulang</button>
+                        ${canDiscard ? `<button class="secondary-btn" type="button" data-sync-action="discard" data-key="${escapeHtml(record.trxNumber)}">Hapus</button>` : ''}
+                    </div>
+                </div>
+            `).join('');
+    }
+    
+    async handleSyncFailedAction(action, key) {
+        try {
+            if (action === 'discard') {
+                this.accessControl.require('sync.discard');
+                if (!confirm('Hapus transaksi ini dari antrean? Data tidak akan pernah terkirim ke server.')) return;
+                await this.inventoryService.discardFailedTransaction(key);
+            } else {
+                await this.inventoryService.retryFailedTransaction(key);
+            }
+        } catch (error) {
+            alert('Gagal memproses transaksi: ' + error.message);
+        }
+        await this.renderSyncFailed();
+    }
+    
+    async loadInventory() {
+        try {
+            await this.inventoryService.loadProducts();
+            console.log('Inventory loaded:', this.inventoryService.inventory);
+            this.inventoryService.updateStockLabels();
+        } catch (error) {
+            console.error('Failed to load inventory:', error);
+        }
+    }
+    
+    /**
+     * Build the category sidebar from the loaded inventory and the category definitions
+     */
+    async loadCategories() {
+        const categoryList = document.getElementById('categoryList');
+        if (!categoryList) return;
+
+        try {
+            const definitions = await this.categoryService.getDefinitions();
+            // Paged server-side, the loaded products are only the pages seen so far
+            const serverCounts = this.inventoryService.pagination.serverSide
+                ? await this.categoryService.getProductCounts()
+                : null;
+            this.categoryService.build(this.inventoryService.inventory, definitions, serverCounts && serverCounts.counts);
+            let total = this.inventoryService.pagination.serverSide
+                ? this.inventoryService.pagination.total
+                : this.inventoryService.inventory.length;
+            if (serverCounts) total = serverCounts.total;
+            this.categoryService.render(categoryList, total, this.currentCategory);
+        } catch (error) {
+            console.error('Failed to load categories:', error);
+        }
+    }
+    
+    handleSearch(query) {
+        this.inventoryService.searchProducts(query);
+    }
+    
+    bindScanner() {
+        this.barcodeScanner.listen();
+
+        const cameraScanBtn = document.getElementById('cameraScanBtn');
+        const scannerOverlay = document.getElementById('scannerOverlay');
+        const scannerCloseBtn = document.getElementById('scannerCloseBtn');
+        if (cameraScanBtn) {
+            cameraScanBtn.style.display = this.barcodeScanner.settings.camera && BarcodeScanner.isCameraSupported() ? '' : 'none';
+            cameraScanBtn.addEventListener('click', () => this.openScanner());
+        }
+        if (scannerOverlay) scannerOverlay.addEventListener('click', () => this.closeScanner());
+        if (scannerCloseBtn) scannerCloseBtn.addEventListener('click', () => this.closeScanner());
+    }
+    
+    /**
+     * Add the scanned product to the cart, or offer to search for an unknown code
+     * @param {string} code - Barcode or SKU
+     */
+    async handleScan(code) {
+        let product;
+        try {
+            product = await this.inventoryService.findByCode(code);
+        } catch (error) {
+            console.error('Failed to look up scanned code:', error);
+            alert('Gagal mencari produk: ' + error.message);
+            return;
+        }
+
+        if (product) {
+            try {
+                // false means the backorder was not approved; the approval dialog already said why
+                await this.inventoryService.addToCart(product.id);
+            } catch (error) {
+                console.error('Failed to add scanned product:', error);
+                alert('Gagal menambahkan produk: ' + error.message);
+            }
+            return;
+        }
+
+        if (confirm(`Produk dengan kode ${code} tidak ditemukan. Cari "${code}" di daftar produk?`)) {
+            const searchInput = document.getElementById('searchInput');
+            if (searchInput) searchInput.value = code;
+            this.handleSearch(code);
+        }
+    }
+    
+    async openScanner() {
+        const overlay = document.getElementById('scannerOverlay');
+        const modal = document.getElementById('scannerModal');
+        const error = document.getElementById('scannerError');
+        if (!overlay || !modal) return;
+
+        error.textContent = '';
+        overlay.style.display = 'block';
+        modal.style.display = 'block';
+
+        try {
+            await this.barcodeScanner.startCamera(document.getElementById('scannerVideo'));
+        } catch (err) {
+            console.error('Failed to start camera:', err);
+            error.textContent = 'Kamera tidak dapat dibuka. Periksa izin kamera pada browser.';
+        }
+    }
+    
+    closeScanner() {
+        this.barcodeScanner.stopCamera();
+        const overlay = document.getElementById('scannerOverlay');
+        const modal = document.getElementById('scannerModal');
+        if (overlay) overlay.style.display = 'none';
+        if (modal) modal.style.display = 'none';
+    }
+    
+    selectCategory(category) {
+        this.currentCategory = category;
+        
+        // Update category selection UI
+        document.querySelectorAll('.category-item').forEach(item => {
+            item.classList.remove('active');
+            if (item.dataset.category === category) {
+                item.classList.add('active');
+            }
+        });
+        
+        // Filter products by category using inventory service
+        this.inventoryService.filterByCategory(category ? this.categoryService.getCodes(category) : null);
+    }
+    
+    selectProduct(productId) {
+        this.selectedProduct = productId;
+        this.inventoryService.selectProduct(productId);
+    }
+    
+    async handleCheckout() {
+        const cart = this.inventoryService.getCart();
+        if (cart.length === 0) {
+            alert('Keranjang kosong! Silakan pilih produk terlebih dahulu.');
+            return;
+        }
+
+        // Show the order total in the modal
+        const paymentTotal = document.getElementById('paymentTotal');
+        if (paymentTotal) paymentTotal.textContent = `Rp ${this.formatPrice(this.inventoryService.getOrderTotals().total)}`;
+        openPaymentModal();
+    }
+    
+    /**
+     * Save the sale with the tender lines entered in the payment modal
+     * @param {Array<Object>} payments - [{ method, amount, amountTendered, edcReference }]
+     * @param {string} trxNumber - Transaction number
+     * @returns {Promise<Object>} Checkout result { success, trxNumber, queued, payments, change, transaction }
+     */
+    async completePayment(payments, trxNumber) {
+        this.accessControl.require('sale.create');
+        const options = { trxNumber, payments };
+
+        // Pay-later part: goes on the customer's account, within the credit limit unless a supervisor approves
+        const credit = payments
+            .filter(payment => payment.method === 'credit')
+            .reduce((sum, payment) => sum + payment.amount, 0);
+        if (credit > 0) {
+            const customer = this.inventoryService.customer && this.customerService.get(this.inventoryService.customer.id);
+            if (!customer) {
+                throw new Error('A customer is required for pay-later sales');
+            }
+            const check = await this.customerService.checkCredit(customer, credit);
+            if (!check.allowed) {
+                const approver = await this.requestApproval(
+                    `Bayar nanti Rp ${this.formatPrice(credit)} melebihi sisa limit ${customer.name} (Rp ${this.formatPrice(check.available)}). Setujui?`,
+                    'customer.creditOverride'
+                );
+                if (!approver) throw new CreditLimitError(customer, check);
+                options.creditApprovedBy = approver;
+            }
+            options.dueDate = this.customerService.getDueDate(customer);
+        }
+
+        const result = await this.inventoryService.checkout(this.inventoryService.getCart(), options);
+        if (credit > 0) this.customerService.addReceivable(result.transaction);
+        return result;
+    }
+    
+    /**
+     * Ask for approval of an action the current user may not do alone.
+     * Users who hold the permission just confirm; others need a supervisor to log in.
+     * @param {string} message - What is being approved
+     * @param {string} permission - Permission the approver must hold
+     * @returns {Promise<Object|null>} Approving user, or null when cancelled
+     */
+    requestApproval(message, permission) {
+        if (this.accessControl.can(permission)) {
+            return Promise.resolve(confirm(message) ? this.accessControl.getCashier() : null);
+        }
+
+        const modal = document.getElementById('approvalModal');
+        const overlay = document.getElementById('approvalOverlay');
+        if (!modal || !overlay) return Promise.resolve(null);
+
+        document.getElementById('approvalMessage').textContent = message;
+        document.getElementById('approvalEmail').value = '';
+        document.getElementById('approvalPassword').value = '';
+        document.getElementById('approvalError').textContent = '';
+        overlay.style.display = 'block';
+        modal.style.display = 'block';
+        document.getElementById('approvalEmail').focus();
+
+        return new Promise(resolve => {
+            if (this.pendingApproval) this.pendingApproval.resolve(null);
+            this.pendingApproval = { permission, resolve };
+        });
+    }
+    
+    async submitApproval(e) {
+        e.preventDefault();
+        if (!this.pendingApproval) return;
+
+        const errorEl = document.getElementById('approvalError');
+        const submitBtn = document.getElementById('approvalSubmitBtn');
+        const email = document.getElementById('approvalEmail').value.trim();
+        const password = document.getElementById('approvalPassword').value;
+        errorEl.textContent = '';
+
+        showLoading(submitBtn);
+        try {
+            const user = await this.authService.verifyCredentials(email, password);
+            const approver = new AccessControl(user, this.authService.config.ROLE_PERMISSIONS);
+            if (!approver.can(this.pendingApproval.permission)) {
+                errorEl.textContent = 'Akun ini tidak berwenang menyetujui.';
+                return;
+            }
+            this.closeApproval(approver.getCashier());
+        } catch (error) {
+            errorEl.textContent = error instanceof AuthError ? error.message : 'Gagal memverifikasi, coba lagi';
+        } finally {
+            hideLoading(submitBtn);
+        }
+    }
+    
+    closeApproval(approver) {
+        const modal = document.getElementById('approvalModal');
+        const overlay = document.getElementById('approvalOverlay');
+        if (modal) modal.style.display = 'none';
+        if (overlay) overlay.style.display = 'none';
+
+        if (this.pendingApproval) {
+            this.pendingApproval.resolve(approver);
+            this.pendingApproval = null;
+        }
+    }
+    
+    /**
+     * Ask for a discount in the discount modal
+     * @param {Object} request - { title, base, discount, reasons } from InventoryService.editDiscount
+     * @returns {Promise<Object|false|null>} { type, value, reason }, false to remove the discount, or null when cancelled
+     */
+    requestDiscount(request) {
+        const modal = document.getElementById('discountModal');
+        const overlay = document.getElementById('discountOverlay');
+        if (!modal || !overlay) return Promise.resolve(null);
+
+        const current = request.discount;
+        document.getElementById('discountTarget').textContent = `${request.title} — Rp ${this.formatPrice(request.base)}`;
+        document.getElementById('discountValue').value = current ? current.value : '';
+        document.getElementById('discountReason').innerHTML = request.reasons.map(reason => `
+            <option value="${escapeHtml(reason.code)}" ${current && current.reason === reason.code ? 'selected' : ''}>${escapeHtml(reason.label)}</option>
+        `).join('');
+        document.getElementById('discountRemoveBtn').style.display = current ? '' : 'none';
+        document.getElementById('discountError').textContent = '';
+
+        const promise = new Promise(resolve => {
+            if (this.pendingDiscount) this.pendingDiscount.resolve(null);
+            this.pendingDiscount = { base: request.base, type: 'percent', resolve };
+        });
+        this.setDiscountType(current ? current.type : 'percent');
+
+        overlay.style.display = 'block';
+        modal.style.display = 'block';
+        document.getElementById('discountValue').focus();
+        return promise;
+    }
+    
+    setDiscountType(type) {
+        if (!this.pendingDiscount) return;
+        this.pendingDiscount.type = type;
+        document.querySelectorAll('[data-discount-type]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.discountType === type);
+        });
+        this.updateDiscountPreview();
+    }
+    
+    updateDiscountPreview() {
+        const preview = document.getElementById('discountPreview');
+        if (!this.pendingDiscount || !preview) return;
+
+        const value = Number(document.getElementById('discountValue').value) || 0;
+        const amount = this.inventoryService.getDiscountAmount({ type: this.pendingDiscount.type, value }, this.pendingDiscount.base);
+        preview.textContent = `Rp ${this.formatPrice(amount)}`;
+    }
+    
+    submitDiscount(e) {
+        e.preventDefault();
+        if (!this.pendingDiscount) return;
+
+        const errorEl = document.getElementById('discountError');
+        const type = this.pendingDiscount.type;
+        const value = Number(document.getElementById('discountValue').value);
+        const reason = document.getElementById('discountReason').value;
+
+        if (!(value > 0)) {
+            errorEl.textContent = 'Isi nilai diskon';
+            return;
+        }
+        if (type === 'percent' && value > 100) {
+            errorEl.textContent = 'Diskon persen maksimal 100%';
+            return;
+        }
+        if (!reason) {
+            errorEl.textContent = 'Pilih alasan diskon';
+            return;
+        }
+        this.closeDiscount({ type, value, reason });
+    }
+    
+    closeDiscount(result) {
+        const modal = document.getElementById('discountModal');
+        const overlay = document.getElementById('discountOverlay');
+        if (modal) modal.style.display = 'none';
+        if (overlay) overlay.style.display = 'none';
+
+        if (this.pendingDiscount) {
+            this.pendingDiscount.resolve(result);
+            this.pendingDiscount = null;
+        }
+    }
+    
+    updateParkedCount() {
+        const parkedCount = document.getElementById('parkedCount');
+        if (parkedCount) parkedCount.textContent = this.inventoryService.getParkedSales().length;
+    }
+    
+    isModalOpen() {
+        return Array.from(document.querySelectorAll('.modal-overlay')).some(el => el.style.display !== 'none');
+    }
+    
+    openModal(name) {
+        const overlay = document.getElementById(`${name}Overlay`);
+        const modal = document.getElementById(`${name}Modal`);
+        if (overlay) overlay.style.display = 'block';
+        if (modal) modal.style.display = 'block';
+    }
+    
+    closeModal(name) {
+        const overlay = document.getElementById(`${name}Overlay`);
+        const modal = document.getElementById(`${name}Modal`);
+        if (overlay) overlay.style.display = 'none';
+        if (modal) modal.style.display = 'none';
+    }
+    
+    openParkSale() {
+        if (this.inventoryService.getCart().length === 0) {
+            alert('Keranjang kosong, tidak ada transaksi untuk ditahan.');
+            return;
+        }
+
+        const customer = this.inventoryService.customer;
+        document.getElementById('parkName').value = customer ? customer.name : '';
+        document.getElementById('parkNote').value = '';
+        document.getElementById('parkError').textContent = '';
+        this.openModal('park');
+        document.getElementById('parkName').focus();
+    }
+    
+    submitParkSale(e) {
+        e.preventDefault();
+        const name = document.getElementById('parkName').value.trim();
+        const note = document.getElementById('parkNote').value.trim();
+        const errorEl = document.getElementById('parkError');
+
+        if (!name) {
+            errorEl.textContent = 'Isi nama pelanggan atau referensi';
+            return;
+        }
+
+        try {
+            this.inventoryService.parkCart(name, note);
+        } catch (error) {
+            errorEl.textContent = error.message;
+            return;
+        }
+        this.closeModal('park');
+        this.updateParkedCount();
+    }
+    
+    openParkedSales() {
+        this.renderParkedSales();
+        this.openModal('recall');
+    }
+    
+    renderParkedSales() {
+        const parkedList = document.getElementById('parkedList');
+        const entries = this.inventoryService.getParkedSales();
+        if (entries.length === 0) {
+            parkedList.innerHTML = '<div class="report-note">Tidak ada transaksi yang ditahan.</div>';
+            return;
+        }
+
+        parkedList.innerHTML = entries.map(entry => {
+            const totals = this.inventoryService.getOrderTotals(entry.cart, entry.orderDiscount);
+            const parkedAt = new Date(entry.parkedAt).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
+            return `
+                <div class="parked-entry">
+                    <div class="parked-entry-info">
+                        <div class="parked-entry-name">${escapeHtml(entry.name)}</div>
+                        ${entry.note ? `<div class="parked-entry-note">${escapeHtml(entry.note)}</div>` : ''}
+                        <div class="parked-entry-meta">${totals.itemCount} item · Rp ${this.formatPrice(totals.total)} · ${parkedAt}${entry.parkedBy ? ` · ${escapeHtml(entry.parkedBy.name)}` : ''}</div>
+                    </div>
+                    <div class="parked-entry-actions">
+                        <button class="primary-btn" type="button" data-parked-action="recall" data-id="${escapeHtml(entry.id)}">Panggil</button>
+                        <button class="secondary-btn" type="button" data-parked-action="discard" data-id="${escapeHtml(entry.id)}">Hapus</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    handleParkedAction(action, id) {
+        if (action === 'discard') {
+            if (!confirm('Hapus transaksi yang ditahan ini?')) return;
+            this.inventoryService.discardParkedSale(id);
+            this.renderParkedSales();
+            this.updateParkedCount();
+            return;
+        }
+
+        if (this.inventoryService.getCart().length > 0) {
+            alert('Tahan atau selesaikan transaksi yang sedang berjalan terlebih dahulu.');
+            return;
+        }
+
+        try {
+            const { shortages } = this.inventoryService.recallCart(id);
+            this.closeModal('recall');
+            this.updateParkedCount();
+            if (shortages.length > 0) {
+                const lines = shortages.map(shortage =>
+                    `- ${shortage.name}: diminta ${shortage.requested}, tersedia ${shortage.available}`);
+                alert('Stok berubah sejak transaksi ditahan, periksa barang berikut:\n' + lines.join('\n'));
+            }
+        } catch (error) {
+            alert('Gagal memanggil transaksi: ' + error.message);
+            this.renderParkedSales();
+            this.updateParkedCount();
+        }
+    }
+    
+    /**
+     * Let the cashier choose the customer of the current sale, or register a new one
+     * @returns {Promise<Object|null|undefined>} Chosen customer, null for a walk-in sale, undefined when cancelled
+     */
+    pickCustomer() {
+        document.getElementById('customerSearch').value = '';
+        this.showCustomerForm(false);
+        this.renderCustomerResults('');
+
+        const promise = new Promise(resolve => {
+            if (this.pendingCustomer) this.pendingCustomer(undefined);
+            this.pendingCustomer = resolve;
+        });
+        this.openModal('customer');
+        document.getElementById('customerSearch').focus();
+        return promise;
+    }
+    
+    renderCustomerResults(query) {
+        const results = document.getElementById('customerResults');
+        const customers = query.trim()
+            ? this.customerService.search(query)
+            : this.customerService.list().slice(0, 20);
+        if (customers.length === 0) {
+            results.innerHTML = `<div class="report-note">${query.trim() ? 'Pelanggan tidak ditemukan.' : 'Belum ada pelanggan.'}</div>`;
+            return;
+        }
+
+        const initials = (name) => name.split(/\s+/).filter(Boolean).slice(0, 2).map(word => word[0]).join('').toUpperCase();
+        const selected = this.inventoryService.customer;
+        results.innerHTML = customers.map(customer => `
+            <button class="customer-result ${selected && selected.id === customer.id ? 'active' : ''}" type="button" data-customer-id="${escapeHtml(customer.id)}">
+                <span class="customer-avatar">${escapeHtml(initials(customer.name))}</span>
+                <span class="customer-result__info">
+                    <span class="customer-result__name">${escapeHtml(customer.name)}</span>
+                    <span class="customer-result__meta">${customer.phone ? `${escapeHtml(customer.phone)} · ` : ''}#${escapeHtml(customer.id)}</span>
+                </span>
+                <span class="customer-result__credit">
+                    Rp ${this.formatPrice(this.customerService.getBalance(customer.id))}
+                    <small>limit Rp ${this.formatPrice(Number(customer.creditLimit) || 0)}</small>
+                </span>
+            </button>
+        `).join('');
+    }
+    
+    showCustomerForm(show) {
+        document.getElementById('customerPickView').style.display = show ? 'none' : 'block';
+        document.getElementById('customerForm').style.display = show ? 'block' : 'none';
+        if (!show) return;
+
+        document.getElementById('customerNameInput').value = document.getElementById('customerSearch').value.trim();
+        document.getElementById('customerPhoneInput').value = '';
+        document.getElementById('customerAddressInput').value = '';
+        document.getElementById('customerLimitInput').value = '';
+        document.getElementById('customerError').textContent = '';
+        document.getElementById('customerNameInput').focus();
+    }
+    
+    submitCustomer(e) {
+        e.preventDefault();
+        const errorEl = document.getElementById('customerError');
+        const limit = document.getElementById('customerLimitInput').value;
+
+        try {
+            const customer = this.customerService.create({
+                name: document.getElementById('customerNameInput').value,
+                phone: document.getElementById('customerPhoneInput').value,
+                address: document.getElementById('customerAddressInput').value,
+                creditLimit: limit === '' ? undefined : Number(limit)
+            });
+            this.closeCustomerPicker(customer);
+        } catch (error) {
+            errorEl.textContent = error instanceof AccessDeniedError
+                ? 'Anda tidak berwenang mengatur limit kredit'
+                : error.message;
+        }
+    }
+    
+    /**
+     * @param {Object|null|undefined} customer - Customer to attach, null to clear, undefined to keep the current one
+     */
+    closeCustomerPicker(customer) {
+        this.closeModal('customer');
+        if (customer !== undefined) this.inventoryService.setCustomer(customer);
+
+        if (this.pendingCustomer) {
+            this.pendingCustomer(customer);
+            this.pendingCustomer = null;
+        }
+    }
+    
+    async openStatement() {
+        if (!this.accessControl.can('receivables.manage')) {
+            alert('Hanya supervisor yang dapat membuka laporan piutang.');
+            return;
+        }
+
+        // Balances of every till, as far as the backend can be reached
+        await this.customerService.syncReceivables();
+        this.renderStatement();
+        this.openModal('statement');
+    }
+    
+    renderStatement() {
+        const content = document.getElementById('statementContent');
+        const rows = this.customerService.getStatement();
+        const totals = rows.reduce((sum, row) => ({ balance: sum.balance + row.balance, overdue: sum.overdue + row.overdue }), { balance: 0, overdue: 0 });
+        document.getElementById('statementDetail').innerHTML = '';
+        this.statementCustomerId = null;
+
+        content.innerHTML = rows.length === 0
+            ? '<div class="report-note">Tidak ada piutang yang belum dibayar.</div>'
+            : `
+                <table class="report-table statement-table">
+                    <thead>
+                        <tr><th>Pelanggan</th><th class="amount">Limit</th><th class="amount">Saldo</th><th class="amount">Jatuh tempo</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr data-customer-id="${escapeHtml(row.customer.id)}">
+                                <td>${escapeHtml(row.customer.name)}</td>
+                                <td class="amount">Rp ${this.formatPrice(Number(row.customer.creditLimit) || 0)}</td>
+                                <td class="amount">Rp ${this.formatPrice(row.balance)}</td>
+                                <td class="amount ${row.overdue > 0 ? 'overdue' : ''}">Rp ${this.formatPrice(row.overdue)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr><td>Total</td><td></td><td class="amount">Rp ${this.formatPrice(totals.balance)}</td><td class="amount">Rp ${this.formatPrice(totals.overdue)}</td></tr>
+                    </tfoot>
+                </table>
+                <div class="report-note">Pilih pelanggan untuk melihat umur piutang dan menerima pembayaran.</div>
+            `;
+    }
+    
+    /**
+     * Aging and open invoices of one customer, with the form to receive a payment
+     * @param {string} customerId
+     */
+    renderStatementDetail(customerId) {
+        const detail = document.getElementById('statementDetail');
+        const row = this.customerService.getStatement().find(entry => entry.customer.id === customerId);
+        this.statementCustomerId = row ? customerId : null;
+        if (!row) {
+            detail.innerHTML = '';
+            return;
+        }
+
+        const formatDay = (timestamp) => this.receiptService.formatDay(timestamp);
+        detail.innerHTML = `
+            <h4 class="statement-title">${escapeHtml(row.customer.name)}</h4>
+            <div class="aging-buckets">
+                ${AGING_BUCKETS.map(bucket => `
+                    <div class="aging-bucket">
+                        <span class="aging-bucket__label">${bucket.label}</span>
+                        <span class="aging-bucket__value">Rp ${this.formatPrice(row.aging[bucket.key])}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Transaksi</th><th>Tanggal</th><th>Jatuh tempo</th><th class="amount">Sisa</th></tr>
+                </thead>
+                <tbody>
+                    ${row.receivables.map(entry => `
+                        <tr>
+                            <td>${escapeHtml(entry.trxNumber)}</td>
+                            <td>${formatDay(entry.date)}</td>
+                            <td class="${entry.daysPastDue > 0 ? 'overdue' : ''}">${formatDay(entry.dueDate)}${entry.daysPastDue > 0 ? ` (${entry.daysPastDue} hari)` : ''}</td>
+                            <td class="amount">Rp ${this.formatPrice(entry.outstanding)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <form class="receivable-payment" id="receivablePaymentForm" novalidate>
+                <label for="receivableAmount" class="input-label">Terima pembayaran</label>
+                <div class="receivable-payment__fields">
+                    <input type="number" inputmode="numeric" min="1" max="${row.balance}" class="text-input" id="receivableAmount" value="${row.balance}">
+                    <select class="text-input" id="receivableMethod">
+                        ${['cash', 'qris', 'edc'].map(method => `<option value="${method}">${ReceiptService.PAYMENT_METHOD_LABELS[method]}</option>`).join('')}
+                    </select>
+                    <button class="primary-btn" type="submit">Terima</button>
+                </div>
+                <div class="field-error" id="receivableError"></div>
+            </form>
+        `;
+    }
+    
+    submitReceivablePayment(e) {
+        e.preventDefault();
+        if (!this.statementCustomerId) return;
+
+        const amount = Number(document.getElementById('receivableAmount').value);
+        const method = document.getElementById('receivableMethod').value;
+        try {
+            const payment = this.customerService.receivePayment(this.statementCustomerId, amount, method);
+            const customerId = this.statementCustomerId;
+            this.renderStatement();
+            this.renderStatementDetail(customerId);
+            alert(`Pembayaran Rp ${this.formatPrice(payment.amount)} diterima (${payment.receiptNumber}).`);
+        } catch (error) {
+            document.getElementById('receivableError').textContent = error instanceof AccessDeniedError
+                ? 'Anda tidak berwenang menerima pembayaran piutang'
+                : error.message;
+        }
+    }
+    
+    /**
+     * Show a toast notification, or log it when toastr is not loaded
+     * @param {string} message
+     * @param {string} [type] - success, info, warning or error
+     * @param {string} [title]
+     */
+    notify(message, type = 'info', title = '') {
+        if (!window.toastr) {
+            console.warn(title ? `${title}: ${message}` : message);
+            return;
+        }
+        window.toastr[type](message, title);
+    }
+    
+    /**
+     * @param {Array<Object>} products - Products a sale took below their minimum stock
+     */
+    notifyLowStock(products) {
+        products.forEach(product => {
+            const unit = UnitOfMeasure.baseUnitOf(product);
+            this.notify(`${product.name} tinggal ${product.stock} ${unit}, minimum ${StockAlerts.minStock(product)} ${unit}.`, 'warning', 'Stok menipis');
+        });
+    }
+    
+    openLowStock() {
+        this.showLowStockView('low');
+        this.openModal('lowStock');
+    }
+    
+    /**
+     * @param {string} view - low (products below minimum) or reorder (draft purchase orders)
+     */
+    async showLowStockView(view) {
+        document.querySelectorAll('[data-low-stock-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.lowStockView === view);
+        });
+
+        const content = document.getElementById('lowStockContent');
+        content.innerHTML = '<div class="report-note">Memuat stok...</div>';
+        if (view === 'reorder') {
+            await this.buildReorderDraft();
+            this.renderReorderDraft();
+        } else {
+            await this.renderLowStock();
+        }
+    }
+    
+    async renderLowStock() {
+        const content = document.getElementById('lowStockContent');
+        const { products, complete } = await this.inventoryService.getStockProducts();
+        const rows = StockAlerts.lowStock(products);
+        const partialNote = complete ? '' : '<div class="report-note">Server tidak terjangkau: hanya barang yang sudah dimuat yang diperiksa.</div>';
+        content.innerHTML = partialNote + (rows.length === 0
+            ? '<div class="report-note">Semua barang berada di atas stok minimum.</div>'
+            : `
+                <table class="report-table">
+                    <thead>
+                        <tr><th>Barang</th><th>Vendor</th><th class="amount">Stok</th><th class="amount">Minimum</th><th class="amount">Kurang</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => {
+                            const unit = UnitOfMeasure.baseUnitOf(row.product);
+                            return `
+                                <tr>
+                                    <td>${escapeHtml(row.product.name)}</td>
+                                    <td>${escapeHtml(row.product.vendor || '-')}</td>
+                                    <td class="amount ${row.stock <= 0 ? 'overdue' : ''}">${row.stock} ${escapeHtml(unit)}</td>
+                                    <td class="amount">${row.minStock} ${escapeHtml(unit)}</td>
+                                    <td class="amount">${row.shortage} ${escapeHtml(unit)}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `);
+    }
+    
+    /**
+     * Suggest what to reorder from the sales of the last REORDER.salesWindowDays and the stock already on order.
+     * Sales per day are averaged over the days the sales history actually covers.
+     */
+    async buildReorderDraft() {
+        const settings = { ...DEFAULT_REORDER_CONFIG, ...(this.authService.config.REORDER || {}) };
+        const windowDays = Number(settings.salesWindowDays) || DEFAULT_REORDER_CONFIG.salesWindowDays;
+        const history = await this.inventoryService.getSalesHistory(windowDays);
+        const salesDays = Math.max(1, (Date.now() - history.from.getTime()) / DAY_MS);
+        const { products, complete } = await this.inventoryService.getStockProducts();
+
+        const onOrder = {};
+        this.purchaseService.getOutstanding().forEach(order => {
+            order.items.forEach(item => {
+                onOrder[item.sku] = (onOrder[item.sku] || 0) + PurchaseService.getOutstandingQuantity(item);
+            });
+        });
+
+        this.reorderBasis = { salesDays: Math.round(salesDays), salesSource: history.source, complete };
+        this.reorderDraft = StockAlerts.reorderSuggestions(products, {
+            velocity: StockAlerts.salesVelocity(history.transactions, salesDays),
+            onOrder,
+            coverDays: settings.coverDays,
+            vendorOf: (product) => this.vendorService.findForProduct(product)
+        });
+    }
+    
+    renderReorderDraft() {
+        const content = document.getElementById('lowStockContent');
+        const settings = { ...DEFAULT_REORDER_CONFIG, ...(this.authService.config.REORDER || {}) };
+        const basis = this.reorderBasis || { salesDays: settings.salesWindowDays, salesSource: 'backend', complete: true };
+        const notes = [
+            basis.salesSource === 'local' ? `<div class="report-note">Server tidak terjangkau: penjualan hanya dari perangkat ini, ${basis.salesDays} hari terakhir.</div>` : '',
+            basis.complete ? '' : '<div class="report-note">Server tidak terjangkau: hanya barang yang sudah dimuat yang diperiksa.</div>'
+        ].join('');
+        if (this.reorderDraft.length === 0) {
+            content.innerHTML = notes + '<div class="report-note">Tidak ada barang yang perlu dipesan ulang.</div>';
+            return;
+        }
+
+        content.innerHTML = `
+            ${notes}
+            <div class="report-note">Berdasarkan penjualan ${basis.salesDays} hari terakhir, untuk ${settings.coverDays} hari ke depan di atas stok minimum. Barang yang sudah dipesan (PO belum diterima) ikut dihitung.</div>
+            ${this.reorderDraft.map((group, groupIndex) => `
+                <div class="reorder-group">
+                    <div class="reorder-group__header">
+                        <strong>${escapeHtml(group.vendor || 'Tanpa vendor')}</strong>
+                        <button class="secondary-btn" type="button" data-reorder-group="${groupIndex}">Buat PO</button>
+                    </div>
+                    <table class="report-table receipt-lines">
+                        <thead>
+                            <tr><th>Barang</th><th class="amount">Stok</th><th class="amount">Dipesan</th><th class="amount">Min.</th><th class="amount">Terjual/hari</th><th>Pesan</th><th class="amount">Harga beli</th></tr>
+                        </thead>
+                        <tbody>
+                            ${group.items.map((item, index) => `
+                                <tr>
+                                    <td>${escapeHtml(item.name)}</td>
+                                    <td class="amount">${item.stock} ${escapeHtml(item.unit)}</td>
+                                    <td class="amount">${item.onOrder || '-'}</td>
+                                    <td class="amount">${item.minStock !== null ? item.minStock : '-'}</td>
+                                    <td class="amount">${item.dailySales.toLocaleString('id-ID', { maximumFractionDigits: 1 })}</td>
+                                    <td><input type="number" min="0" inputmode="numeric" class="text-input" data-reorder-line="${groupIndex}:${index}" value="${item.quantity}"></td>
+                                    <td class="amount">Rp ${this.formatPrice(item.unitCost)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `).join('')}
+        `;
+    }
+    
+    /**
+     * @param {HTMLInputElement} input - Quantity of a draft line, data-reorder-line="group:line"
+     */
+    updateReorderQuantity(input) {
+        const [groupIndex, index] = input.dataset.reorderLine.split(':').map(Number);
+        const item = this.reorderDraft[groupIndex].items[index];
+        item.quantity = Math.max(0, Number(input.value) || 0);
+    }
+    
+    /**
+     * Open a new purchase order filled in from a vendor's draft, to be checked and saved
+     * @param {number} groupIndex
+     */
+    draftReorderPurchase(groupIndex) {
+        const group = this.reorderDraft[groupIndex];
+        const lines = group.items
+            .filter(item => item.quantity > 0)
+            .map(item => ({ sku: item.sku, name: item.name, unit: item.unit, quantity: item.quantity, unitCost: item.unitCost }));
+        if (lines.length === 0) {
+            alert('Isi jumlah pesanan minimal satu barang.');
+            return;
+        }
+
+        this.closeModal('lowStock');
+        this.showPurchaseView('new');
+        this.purchaseLines = lines;
+        document.getElementById('purchaseVendor').value = group.vendor || '';
+        document.getElementById('purchaseNote').value = 'Pesan ulang stok menipis';
+        this.renderPurchaseLines();
+        this.openModal('purchase');
+        // The "Tanpa vendor" group has nobody to order from yet
+        if (!group.vendor) {
+            document.getElementById('purchaseError').textContent = 'Barang ini belum punya vendor. Pilih vendor untuk PO ini.';
+            document.getElementById('purchaseVendor').focus();
+        }
+    }
+    
+    /**
+     * @param {string} [sku] - Product whose stock card is shown first
+     */
+    openStock(sku) {
+        const options = this.inventoryService.inventory
+            .filter(product => product.stock !== undefined)
+            .sort((a, b) => a.name.localeCompare(b.name, 'id'))
+            .map(product => `<option value="${escapeHtml(product.id)}">${escapeHtml(product.name)}</option>`)
+            .join('');
+        document.getElementById('stockCardProduct').innerHTML = options;
+        document.getElementById('adjustProduct').innerHTML = options;
+        if (sku) document.getElementById('stockCardProduct').value = sku;
+
+        this.showStockView('card');
+        this.openModal('stock');
+    }
+    
+    /**
+     * @param {string} view - card (stock card), adjust (manual adjustment) or opname (physical count)
+     */
+    showStockView(view) {
+        document.querySelectorAll('[data-stock-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.stockView === view);
+        });
+        document.getElementById('stockCardView').style.display = view === 'card' ? 'block' : 'none';
+        document.getElementById('stockAdjustForm').style.display = view === 'adjust' ? 'block' : 'none';
+        document.getElementById('stockOpnameView').style.display = view === 'opname' ? 'block' : 'none';
+
+        if (view === 'card') {
+            this.renderStockCard();
+        } else if (view === 'adjust') {
+            ['adjustQty', 'adjustReason', 'adjustReference', 'adjustLocation'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            this.toggleAdjustLocation();
+            document.getElementById('adjustError').textContent = '';
+        } else {
+            this.renderOpname();
+        }
+    }
+    
+    renderStockCard() {
+        const content = document.getElementById('stockCardContent');
+        const sku = document.getElementById('stockCardProduct').value;
+        const product = this.inventoryService.inventory.find(p => p.id === sku);
+        if (!product) {
+            content.innerHTML = '<div class="report-note">Tidak ada barang dengan data stok.</div>';
+            return;
+        }
+
+        const unit = UnitOfMeasure.baseUnitOf(product);
+        const movements = this.inventoryService.getStockCard(sku);
+        const formatTime = (timestamp) => new Date(timestamp).toLocaleString('id-ID', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+        content.innerHTML = `
+            <div class="report-note">Stok sistem: <strong>${product.stock} ${escapeHtml(unit)}</strong></div>
+            ${movements.length === 0 ? '<div class="report-note">Belum ada pergerakan stok yang tercatat di perangkat ini.</div>' : `
+                <table class="report-table">
+                    <thead>
+                        <tr><th>Waktu</th><th>Jenis</th><th>Referensi</th><th>Keterangan</th><th>Oleh</th><th class="amount">Masuk</th><th class="amount">Keluar</th><th class="amount">Saldo</th></tr>
+                    </thead>
+                    <tbody>
+                        ${movements.map(movement => `
+                            <tr>
+                                <td>${formatTime(movement.timestamp)}</td>
+                                <td>${STOCK_MOVEMENT_TYPES[movement.type]}</td>
+                                <td>${escapeHtml(movement.reference)}</td>
+                                <td>${escapeHtml(movement.reason || '-')}${movement.location ? `<br><small>${movement.quantity > 0 ? 'Dari' : 'Ke'} ${escapeHtml(movement.location)}</small>` : ''}</td>
+                                <td>${escapeHtml(movement.user ? movement.user.name : '-')}</td>
+                                <td class="amount">${movement.quantity > 0 ? movement.quantity : ''}</td>
+                                <td class="amount">${movement.quantity < 0 ? -movement.quantity : ''}</td>
+                                <td class="amount">${movement.balance !== null ? movement.balance : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+    }
+    
+    /**
+     * The location field is only asked for transfers
+     */
+    toggleAdjustLocation() {
+        const isTransfer = document.getElementById('adjustType').value === 'transfer';
+        document.getElementById('adjustLocationField').style.display = isTransfer ? 'block' : 'none';
+    }
+    
+    async submitStockAdjustment(e) {
+        e.preventDefault();
+        const errorEl = document.getElementById('adjustError');
+        const sku = document.getElementById('adjustProduct').value;
+
+        try {
+            await this.inventoryService.adjustStock([{ sku, quantity: Number(document.getElementById('adjustQty').value) }], {
+                type: document.getElementById('adjustType').value,
+                reason: document.getElementById('adjustReason').value,
+                reference: document.getElementById('adjustReference').value.trim() || null,
+                location: document.getElementById('adjustLocation').value
+            });
+            document.getElementById('stockCardProduct').value = sku;
+            this.showStockView('card');
+        } catch (error) {
+            errorEl.textContent = error instanceof AccessDeniedError
+                ? 'Anda tidak berwenang menyesuaikan stok'
+                : error.message;
+        }
+    }
+    
+    renderOpname() {
+        const content = document.getElementById('opnameContent');
+        const opname = this.inventoryService.getOpname();
+        if (!opname) {
+            const categories = [...new Set(this.inventoryService.inventory.map(product => product.category).filter(Boolean))];
+            content.innerHTML = `
+                <label for="opnameCategory" class="input-label">Barang yang dihitung</label>
+                <select class="text-input" id="opnameCategory">
+                    <option value="">Semua barang</option>
+                    ${categories.map(category => `<option value="${escapeHtml(category)}">${escapeHtml(CategoryService.humanize(category))}</option>`).join('')}
+                </select>
+                <div class="report-note">Hitung fisik barang, lalu isi jumlahnya. Selisih terhadap stok sistem diposting sebagai penyesuaian.</div>
+                <button class="primary-btn" type="button" data-opname-action="start">Mulai stock opname</button>
+            `;
+            return;
+        }
+
+        const lines = this.inventoryService.getOpnameLines();
+        const counted = lines.filter(line => line.counted !== null).length;
+        content.innerHTML = `
+            <div class="report-note">${opname.number} · mulai ${new Date(opname.startedAt).toLocaleString('id-ID')} oleh ${escapeHtml(opname.startedBy ? opname.startedBy.name : '-')} · ${counted} dari ${lines.length} barang dihitung</div>
+            <table class="report-table receipt-lines">
+                <thead>
+                    <tr><th>Barang</th><th class="amount">Sistem</th><th>Fisik</th><th class="amount">Selisih</th></tr>
+                </thead>
+                <tbody>
+                    ${lines.map(line => `
+                        <tr>
+                            <td>${escapeHtml(line.product.name)}</td>
+                            <td class="amount">${line.system} ${escapeHtml(UnitOfMeasure.baseUnitOf(line.product))}</td>
+                            <td><input type="number" inputmode="numeric" min="0" class="text-input" data-opname-sku="${escapeHtml(line.product.id)}" value="${line.counted !== null ? line.counted : ''}"></td>
+                            <td class="amount ${line.variance ? 'overdue' : ''}" data-opname-variance="${escapeHtml(line.product.id)}">${line.variance !== null ? line.variance : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="field-error" id="opnameError"></div>
+            <div class="discount-actions opname-actions">
+                <button class="secondary-btn" type="button" data-opname-action="cancel">Batalkan opname</button>
+                <button class="primary-btn" type="button" data-opname-action="post">Posting selisih</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Keep a counted quantity in the opname draft and show its variance
+     * @param {HTMLInputElement} input
+     */
+    updateOpnameCount(input) {
+        const sku = input.dataset.opnameSku;
+        this.inventoryService.setOpnameCount(sku, input.value === '' ? null : Number(input.value));
+
+        const line = this.inventoryService.getOpnameLines().find(entry => entry.product.id === sku);
+        const varianceEl = document.querySelector(`[data-opname-variance="${CSS.escape(sku)}"]`);
+        if (line && varianceEl) {
+            varianceEl.textContent = line.variance !== null ? line.variance : '';
+            varianceEl.classList.toggle('overdue', Boolean(line.variance));
+        }
+    }
+    
+    /**
+     * @param {string} action - start, post or cancel
+     */
+    async handleOpnameAction(action) {
+        const errorEl = document.getElementById('opnameError');
+        try {
+            if (action === 'start') {
+                this.inventoryService.startOpname(document.getElementById('opnameCategory').value || null);
+            } else if (action === 'cancel') {
+                if (!confirm('Batalkan stock opname? Jumlah yang sudah diisi akan hilang.')) return;
+                this.inventoryService.cancelOpname();
+            } else {
+                if (!confirm('Posting selisih stock opname sebagai penyesuaian stok?')) return;
+                const result = await this.inventoryService.postOpname();
+                alert(`${result.number}: ${result.counted} barang dihitung, ${result.adjusted} disesuaikan.`);
+            }
+            this.renderOpname();
+        } catch (error) {
+            const message = error instanceof AccessDeniedError
+                ? 'Anda tidak berwenang melakukan stock opname'
+                : error.message;
+            if (errorEl) {
+                errorEl.textContent = message;
+            } else {
+                alert(message);
+            }
+        }
+    }
+    
+    openPurchasing() {
+        if (!this.accessControl.can('purchase.create') && !this.accessControl.can('purchase.receive')) {
+            alert('Hanya supervisor yang dapat membuka pembelian.');
+            return;
+        }
+
+        this.showPurchaseView('orders');
+        this.openModal('purchase');
+    }
+    
+    /**
+     * @param {string} view - orders (outstanding orders and receiving) or new (write a purchase order)
+     */
+    showPurchaseView(view) {
+        document.querySelectorAll('[data-purchase-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.purchaseView === view);
+        });
+        document.getElementById('purchaseOrdersView').style.display = view === 'orders' ? 'block' : 'none';
+        document.getElementById('purchaseForm').style.display = view === 'new' ? 'block' : 'none';
+
+        if (view === 'orders') {
+            this.renderPurchaseOrders();
+            return;
+        }
+
+        this.purchaseLines = [];
+        document.getElementById('purchaseVendor').value = '';
+        document.getElementById('purchaseNote').value = '';
+        document.getElementById('purchaseError').textContent = '';
+        document.getElementById('purchaseVendorList').innerHTML = this.vendorService.getNames(this.inventoryService.inventory)
+            .map(vendor => `<option value="${escapeHtml(vendor)}"></option>`).join('');
+        this.renderPurchaseProducts();
+        this.renderPurchaseLines();
+    }
+    
+    renderPurchaseOrders() {
+        const list = document.getElementById('purchaseOrderList');
+        const orders = this.purchaseService.getOutstanding();
+        document.getElementById('purchaseOrderDetail').innerHTML = '';
+        this.purchaseOrderNumber = null;
+
+        list.innerHTML = orders.length === 0
+            ? '<div class="report-note">Tidak ada PO yang menunggu barang.</div>'
+            : `
+                <table class="report-table statement-table">
+                    <thead>
+                        <tr><th>No. PO</th><th>Vendor</th><th>Tanggal</th><th>Status</th><th class="amount">Sisa</th></tr>
+                    </thead>
+                    <tbody>
+                        ${orders.map(order => `
+                            <tr data-po-number="${escapeHtml(order.poNumber)}">
+                                <td>${escapeHtml(order.poNumber)}</td>
+                                <td>${escapeHtml(order.vendor)}</td>
+                                <td>${this.receiptService.formatDay(order.createdAt)}</td>
+                                <td>${PURCHASE_STATUS_LABELS[order.status]}</td>
+                                <td class="amount">Rp ${this.formatPrice(PurchaseService.getOutstandingValue(order))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="report-note">Pilih PO untuk mencatat barang yang diterima.</div>
+            `;
+    }
+    
+    /**
+     * Lines of one order with what is still to come, as a goods receipt form
+     * @param {string} poNumber
+     */
+    renderPurchaseOrderDetail(poNumber) {
+        const detail = document.getElementById('purchaseOrderDetail');
+        const order = this.purchaseService.get(poNumber);
+        this.purchaseOrderNumber = order ? poNumber : null;
+        if (!order) {
+            detail.innerHTML = '';
+            return;
+        }
+
+        detail.innerHTML = `
+            <h4 class="statement-title">${escapeHtml(order.poNumber)} · ${escapeHtml(order.vendor)}</h4>
+            ${order.note ? `<div class="report-note">${escapeHtml(order.note)}</div>` : ''}
+            <form id="goodsReceiptForm" novalidate>
+                <table class="report-table receipt-lines">
+                    <thead>
+                        <tr><th>Barang</th><th class="amount">Dipesan</th><th class="amount">Diterima</th><th>Terima</th><th>Harga beli</th></tr>
+                    </thead>
+                    <tbody>
+                        ${order.items.map(item => {
+                            const outstanding = PurchaseService.getOutstandingQuantity(item);
+                            return `
+                                <tr>
+                                    <td>${escapeHtml(item.name)}</td>
+                                    <td class="amount">${item.quantity} ${escapeHtml(item.unit)}</td>
+                                    <td class="amount">${item.received || 0}</td>
+                                    <td><input type="number" inputmode="numeric" min="0" max="${outstanding}" class="text-input" data-receipt-qty="${escapeHtml(item.sku)}" value="${outstanding}" ${outstanding === 0 ? 'disabled' : ''}></td>
+                                    <td><input type="number" inputmode="numeric" min="0" class="text-input" data-receipt-cost="${escapeHtml(item.sku)}" value="${item.unitCost}" ${outstanding === 0 ? 'disabled' : ''}></td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+                <div class="receipt-invoice" data-permission="payables.manage">
+                    <label for="goodsInvoiceNumber" class="input-label">No. faktur vendor (opsional, dicatat sebagai hutang)</label>
+                    <input type="text" class="text-input" id="goodsInvoiceNumber" autocomplete="off">
+                </div>
+                <div class="field-error" id="goodsReceiptError"></div>
+                <button class="primary-btn" type="submit" data-permission="purchase.receive">Terima barang</button>
+            </form>
+        `;
+        this.applyPermissions();
     }
     
-    bindEvents() {
-        // Search functionality
-        const searchInput = document.getElementById('searchInput');
-        const searchBtn = document.getElementById('searchBtn');
-        
-        searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
-        searchBtn.addEventListener('click', () => this.handleSearch(searchInput.value));
-        searchInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.handleSearch(e.target.value);
+    submitGoodsReceipt(e) {
+        e.preventDefault();
+        if (!this.purchaseOrderNumber) return;
+
+        const lines = [...document.querySelectorAll('[data-receipt-qty]')].map(input => ({
+            sku: input.dataset.receiptQty,
+            quantity: Number(input.value) || 0,
+            unitCost: document.querySelector(`[data-receipt-cost="${CSS.escape(input.dataset.receiptQty)}"]`).value
+        }));
+        const invoiceNumber = (document.getElementById('goodsInvoiceNumber').value || '').trim();
+        let receipt;
+        try {
+            receipt = this.purchaseService.receiveGoods(this.purchaseOrderNumber, lines);
+        } catch (error) {
+            document.getElementById('goodsReceiptError').textContent = error instanceof AccessDeniedError
+                ? 'Anda tidak berwenang menerima barang'
+                : error.message;
+            return;
+        }
+        this.inventoryService.incrementStock(receipt);
+        this.renderPurchaseOrders();
+
+        // The vendor's invoice for these goods becomes a payable
+        let invoiceNote = '';
+        if (invoiceNumber) {
+            try {
+                const vendor = this.vendorService.get(receipt.vendorId) || this.vendorService.ensureVendor(receipt.vendor);
+                const payable = this.vendorService.recordInvoice({
+                    vendorId: vendor.id,
+                    invoiceNumber,
+                    amount: receipt.total,
+                    poNumber: receipt.poNumber,
+                    receiptNumber: receipt.receiptNumber
+                });
+                invoiceNote = `\nFaktur ${invoiceNumber} dicatat sebagai hutang, jatuh tempo ${this.receiptService.formatDay(payable.dueDate)}.`;
+            } catch (error) {
+                invoiceNote = `\nFaktur belum dicatat: ${error.message}`;
             }
+        }
+        alert(`Barang diterima (${receipt.receiptNumber}), stok sudah ditambahkan.${invoiceNote}`);
+    }
+    
+    /**
+     * Products to choose from: those of the entered vendor, or all products for a vendor not in the inventory
+     */
+    renderPurchaseProducts() {
+        const name = document.getElementById('purchaseVendor').value.trim();
+        const vendor = this.vendorService.find(name);
+        const products = this.inventoryService.inventory;
+        const fromVendor = products.filter(product => {
+            const productVendor = this.vendorService.findForProduct(product);
+            return vendor && productVendor
+                ? productVendor.id === vendor.id
+                : String(product.vendor || '').trim().toLowerCase() === name.toLowerCase();
         });
-        
-        // Category selection
-        const categoryItems = document.querySelectorAll('.category-item');
-        categoryItems.forEach(item => {
-            item.addEventListener('click', (e) => {
-                const category = e.currentTarget.dataset.category;
-                this.selectCategory(category);
+        const options = (fromVendor.length > 0 ? fromVendor : products)
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name, 'id'));
+
+        document.getElementById('purchaseProduct').innerHTML = options.map(product => `
+            <option value="${escapeHtml(product.id)}">${escapeHtml(product.name)} (${escapeHtml(UnitOfMeasure.baseUnitOf(product))})</option>
+        `).join('');
+        this.fillPurchaseCost();
+    }
+    
+    fillPurchaseCost() {
+        const product = this.inventoryService.inventory.find(p => p.id === document.getElementById('purchaseProduct').value);
+        document.getElementById('purchaseCost').value = product && product.costPrice ? product.costPrice : '';
+    }
+    
+    addPurchaseLine() {
+        const errorEl = document.getElementById('purchaseError');
+        const product = this.inventoryService.inventory.find(p => p.id === document.getElementById('purchaseProduct').value);
+        const quantity = Number(document.getElementById('purchaseQty').value);
+        const unitCost = Number(document.getElementById('purchaseCost').value);
+        errorEl.textContent = '';
+
+        if (!product) {
+            errorEl.textContent = 'Pilih barang';
+            return;
+        }
+        if (!(quantity > 0)) {
+            errorEl.textContent = 'Isi jumlah barang';
+            return;
+        }
+        if (document.getElementById('purchaseCost').value === '' || !(unitCost >= 0)) {
+            errorEl.textContent = 'Isi harga beli';
+            return;
+        }
+
+        const existing = this.purchaseLines.find(line => line.sku === product.id);
+        if (existing) {
+            existing.quantity += quantity;
+            existing.unitCost = unitCost;
+        } else {
+            this.purchaseLines.push({ sku: product.id, name: product.name, unit: UnitOfMeasure.baseUnitOf(product), quantity, unitCost });
+        }
+        document.getElementById('purchaseQty').value = '';
+        this.renderPurchaseLines();
+    }
+    
+    renderPurchaseLines() {
+        const container = document.getElementById('purchaseLines');
+        if (this.purchaseLines.length === 0) {
+            container.innerHTML = '<div class="report-note">Belum ada barang di PO ini.</div>';
+            return;
+        }
+
+        const total = this.purchaseLines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+        container.innerHTML = `
+            <table class="report-table">
+                <thead>
+                    <tr><th>Barang</th><th class="amount">Jumlah</th><th class="amount">Harga beli</th><th class="amount">Subtotal</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.purchaseLines.map((line, index) => `
+                        <tr>
+                            <td>${escapeHtml(line.name)}</td>
+                            <td class="amount">${line.quantity} ${escapeHtml(line.unit)}</td>
+                            <td class="amount">Rp ${this.formatPrice(line.unitCost)}</td>
+                            <td class="amount">Rp ${this.formatPrice(line.quantity * line.unitCost)}</td>
+                            <td><button class="tender-line__remove" type="button" data-line-index="${index}" aria-label="Hapus">✕</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr><td>Total</td><td></td><td></td><td class="amount">Rp ${this.formatPrice(total)}</td><td></td></tr>
+                </tfoot>
+            </table>
+        `;
+    }
+    
+    submitPurchaseOrder(e) {
+        e.preventDefault();
+        const errorEl = document.getElementById('purchaseError');
+
+        try {
+            const name = document.getElementById('purchaseVendor').value.trim();
+            const vendor = this.vendorService.find(name);
+            const order = this.purchaseService.createOrder({
+                vendor: vendor ? vendor.name : name,
+                vendorId: vendor ? vendor.id : null,
+                items: this.purchaseLines,
+                note: document.getElementById('purchaseNote').value
             });
+            alert(`PO ${order.poNumber} untuk ${order.vendor} tersimpan.`);
+            this.showPurchaseView('orders');
+        } catch (error) {
+            errorEl.textContent = error instanceof AccessDeniedError
+                ? 'Anda tidak berwenang membuat PO'
+                : error.message;
+        }
+    }
+    
+    async openVendors() {
+        if (!this.accessControl.can('payables.manage') && !this.accessControl.can('vendor.manage')) {
+            alert('Hanya supervisor yang dapat membuka data vendor dan hutang.');
+            return;
+        }
+
+        // Invoices and payments of every till, as far as the backend can be reached
+        await this.vendorService.syncPayables();
+        this.showVendorView('payables');
+        this.openModal('vendor');
+    }
+    
+    /**
+     * @param {string} view - payables (aging report and payments), invoice (record a supplier invoice) or vendors (vendor master)
+     */
+    showVendorView(view) {
+        document.querySelectorAll('[data-vendor-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.vendorView === view);
         });
-        
-        // Checkout button
-        const checkoutBtn = document.getElementById('checkoutBtn');
-        checkoutBtn.addEventListener('click', () => this.handleCheckout());
-        
-        // Pagination
-        const pageBtns = document.querySelectorAll('.page-btn');
-        pageBtns.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const page = e.currentTarget.dataset.page;
-                this.handlePagination(page);
+        document.getElementById('payablesView').style.display = view === 'payables' ? 'block' : 'none';
+        document.getElementById('invoiceForm').style.display = view === 'invoice' ? 'block' : 'none';
+        document.getElementById('vendorsView').style.display = view === 'vendors' ? 'block' : 'none';
+
+        if (view === 'payables') {
+            this.renderPayables();
+        } else if (view === 'invoice') {
+            document.getElementById('invoiceVendor').innerHTML = this.vendorService.list()
+                .map(vendor => `<option value="${escapeHtml(vendor.id)}">${escapeHtml(vendor.name)}</option>`).join('');
+            ['invoiceNumberInput', 'invoiceAmountInput', 'invoiceDueInput'].forEach(id => {
+                document.getElementById(id).value = '';
             });
-        });
+            document.getElementById('invoiceDateInput').value = new Date().toISOString().slice(0, 10);
+            document.getElementById('invoiceError').textContent = this.vendorService.list().length === 0
+                ? 'Daftarkan vendor terlebih dahulu'
+                : '';
+        } else {
+            this.renderVendorList();
+            this.fillVendorForm(null);
+        }
     }
     
-    async loadInventory() {
+    renderPayables() {
+        const content = document.getElementById('payablesContent');
+        const rows = this.vendorService.getAgingReport();
+        document.getElementById('payablesDetail').innerHTML = '';
+        this.payablesVendorId = null;
+
+        if (rows.length === 0) {
+            content.innerHTML = '<div class="report-note">Tidak ada hutang ke vendor.</div>';
+            return;
+        }
+
+        const totals = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, rows.reduce((sum, row) => sum + row.aging[bucket.key], 0)]));
+        const grandTotal = rows.reduce((sum, row) => sum + row.balance, 0);
+        content.innerHTML = `
+            <table class="report-table statement-table">
+                <thead>
+                    <tr><th>Vendor</th>${AGING_BUCKETS.map(bucket => `<th class="amount">${bucket.label}</th>`).join('')}<th class="amount">Total</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr data-vendor-id="${escapeHtml(row.vendor.id)}">
+                            <td>${escapeHtml(row.vendor.name)}</td>
+                            ${AGING_BUCKETS.map(bucket => `<td class="amount ${bucket.key !== 'current' && row.aging[bucket.key] > 0 ? 'overdue' : ''}">${this.formatPrice(row.aging[bucket.key])}</td>`).join('')}
+                            <td class="amount">Rp ${this.formatPrice(row.balance)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr><td>Total</td>${AGING_BUCKETS.map(bucket => `<td class="amount">${this.formatPrice(totals[bucket.key])}</td>`).join('')}<td class="amount">Rp ${this.formatPrice(grandTotal)}</td></tr>
+                </tfoot>
+            </table>
+            <div class="report-note">Umur dihitung dari tanggal jatuh tempo. Pilih vendor untuk membayar faktur.</div>
+        `;
+    }
+    
+    /**
+     * Unpaid invoices of one vendor, with the form to pay them
+     * @param {string} vendorId
+     */
+    renderPayablesDetail(vendorId) {
+        const detail = document.getElementById('payablesDetail');
+        const row = this.vendorService.getAgingReport().find(entry => entry.vendor.id === vendorId);
+        this.payablesVendorId = row ? vendorId : null;
+        if (!row) {
+            detail.innerHTML = '';
+            return;
+        }
+
+        const vendor = row.vendor;
+        const formatDay = (timestamp) => this.receiptService.formatDay(timestamp);
+        const bank = [vendor.bankName, vendor.bankAccount, vendor.accountHolder ? `a.n. ${vendor.accountHolder}` : ''].filter(Boolean).join(' · ');
+        detail.innerHTML = `
+            <h4 class="statement-title">${escapeHtml(vendor.name)}</h4>
+            ${bank ? `<div class="report-note">Rekening: ${escapeHtml(bank)}</div>` : ''}
+            <table class="report-table">
+                <thead>
+                    <tr><th>Faktur</th><th>Tanggal</th><th>Jatuh tempo</th><th class="amount">Nilai</th><th class="amount">Sisa</th></tr>
+                </thead>
+                <tbody>
+                    ${row.payables.map(entry => `
+                        <tr>
+                            <td>${escapeHtml(entry.invoiceNumber)}${entry.poNumber ? `<br><small>${escapeHtml(entry.poNumber)}</small>` : ''}</td>
+                            <td>${formatDay(entry.date)}</td>
+                            <td class="${entry.daysPastDue > 0 ? 'overdue' : ''}">${formatDay(entry.dueDate)}${entry.daysPastDue > 0 ? ` (${entry.daysPastDue} hari)` : ''}</td>
+                            <td class="amount">Rp ${this.formatPrice(entry.amount)}</td>
+                            <td class="amount">Rp ${this.formatPrice(entry.outstanding)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <form class="receivable-payment" id="supplierPaymentForm" novalidate>
+                <label for="payableSelect" class="input-label">Bayar faktur</label>
+                <div class="receivable-payment__fields">
+                    <select class="text-input" id="payableSelect">
+                        ${row.payables.map(entry => `<option value="${escapeHtml(entry.id)}" data-outstanding="${entry.outstanding}">${escapeHtml(entry.invoiceNumber)}</option>`).join('')}
+                    </select>
+                    <input type="number" inputmode="numeric" min="1" class="text-input" id="payableAmount" aria-label="Nominal">
+                    <select class="text-input" id="payableMethod" aria-label="Metode">
+                        ${Object.keys(SUPPLIER_PAYMENT_METHODS).map(method => `<option value="${method}">${SUPPLIER_PAYMENT_METHODS[method]}</option>`).join('')}
+                    </select>
+                    <input type="text" class="text-input" id="payableReference" placeholder="No. referensi" autocomplete="off">
+                    <button class="primary-btn" type="submit">Bayar</button>
+                </div>
+                <div class="field-error" id="payableError"></div>
+            </form>
+        `;
+        this.fillSupplierPaymentAmount();
+    }
+    
+    fillSupplierPaymentAmount() {
+        const select = document.getElementById('payableSelect');
+        const option = select && select.selectedOptions[0];
+        if (!option) return;
+        const amountInput = document.getElementById('payableAmount');
+        amountInput.value = option.dataset.outstanding;
+        amountInput.max = option.dataset.outstanding;
+    }
+    
+    submitSupplierPayment(e) {
+        e.preventDefault();
+        if (!this.payablesVendorId) return;
+
         try {
-            const products = await this.inventoryService.getInventory();
-            this.inventoryService.renderProducts(products);
-            console.log('Inventory loaded:', products);
+            const payment = this.vendorService.payInvoice(
+                document.getElementById('payableSelect').value,
+                Number(document.getElementById('payableAmount').value),
+                document.getElementById('payableMethod').value,
+                document.getElementById('payableReference').value
+            );
+            const vendorId = this.payablesVendorId;
+            this.renderPayables();
+            this.renderPayablesDetail(vendorId);
+            alert(`Pembayaran Rp ${this.formatPrice(payment.amount)} untuk faktur ${payment.invoiceNumber} tercatat (${payment.paymentNumber}).`);
         } catch (error) {
-            console.error('Failed to load inventory:', error);
+            document.getElementById('payableError').textContent = error instanceof AccessDeniedError
+                ? 'Anda tidak berwenang membayar hutang'
+                : error.message;
         }
     }
     
-    handleSearch(query) {
-        this.inventoryService.searchProducts(query);
+    submitSupplierInvoice(e) {
+        e.preventDefault();
+        const errorEl = document.getElementById('invoiceError');
+
+        try {
+            const payable = this.vendorService.recordInvoice({
+                vendorId: document.getElementById('invoiceVendor').value,
+                invoiceNumber: document.getElementById('invoiceNumberInput').value,
+                amount: Number(document.getElementById('invoiceAmountInput').value),
+                date: document.getElementById('invoiceDateInput').value || null,
+                dueDate: document.getElementById('invoiceDueInput').value || null
+            });
+            alert(`Faktur ${payable.invoiceNumber} tercatat, jatuh tempo ${this.receiptService.formatDay(payable.dueDate)}.`);
+            this.showVendorView('payables');
+        } catch (error) {
+            errorEl.textContent = error instanceof AccessDeniedError
+                ? 'Anda tidak berwenang mencatat faktur'
+                : error.message;
+        }
     }
     
-    selectCategory(category) {
-        this.currentCategory = category;
-        
-        // Update category selection UI
-        document.querySelectorAll('.category-item').forEach(item => {
-            item.classList.remove('active');
-            if (item.dataset.category === category) {
-                item.classList.add('active');
-            }
+    renderVendorList() {
+        const list = document.getElementById('vendorList');
+        const vendors = this.vendorService.list();
+        const products = this.inventoryService.inventory;
+        const unregistered = PurchaseService.getVendors(products).filter(name => !this.vendorService.find(name));
+
+        list.innerHTML = `
+            ${vendors.length === 0 ? '<div class="report-note">Belum ada vendor terdaftar.</div>' : `
+                <table class="report-table statement-table">
+                    <thead>
+                        <tr><th>Vendor</th><th>Kontak</th><th>Termin</th><th>NPWP</th><th class="amount">Produk</th></tr>
+                    </thead>
+                    <tbody>
+                        ${vendors.map(vendor => `
+                            <tr data-vendor-id="${escapeHtml(vendor.id)}">
+                                <td>${escapeHtml(vendor.name)}</td>
+                                <td>${escapeHtml([vendor.contact, vendor.phone].filter(Boolean).join(' · ') || '-')}</td>
+                                <td>${escapeHtml(vendor.paymentTermDays)} hari</td>
+                                <td>${escapeHtml(vendor.taxId || '-')}</td>
+                                <td class="amount">${products.filter(product => (this.vendorService.findForProduct(product) || {}).id === vendor.id).length}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            ${unregistered.length > 0 ? `<div class="report-note">Belum terdaftar, tertulis di produk: ${escapeHtml(unregistered.join(', '))}</div>` : ''}
+        `;
+    }
+    
+    /**
+     * @param {string|null} vendorId - Vendor to edit, or null for a new vendor
+     */
+    fillVendorForm(vendorId) {
+        const vendor = vendorId ? this.vendorService.get(vendorId) : null;
+        const fields = {
+            vendorIdInput: 'id',
+            vendorNameInput: 'name',
+            vendorContactInput: 'contact',
+            vendorPhoneInput: 'phone',
+            vendorEmailInput: 'email',
+            vendorAddressInput: 'address',
+            vendorTermInput: 'paymentTermDays',
+            vendorBankNameInput: 'bankName',
+            vendorBankAccountInput: 'bankAccount',
+            vendorAccountHolderInput: 'accountHolder',
+            vendorTaxIdInput: 'taxId'
+        };
+        Object.keys(fields).forEach(id => {
+            document.getElementById(id).value = vendor && vendor[fields[id]] !== undefined ? vendor[fields[id]] : '';
         });
-        
-        // Filter products by category using inventory service
-        this.inventoryService.filterByCategory(category);
+        document.getElementById('vendorFormTitle').textContent = vendor ? `Ubah ${vendor.name}` : 'Vendor baru';
+        document.getElementById('vendorError').textContent = '';
     }
     
-    selectProduct(productId) {
-        this.selectedProduct = productId;
-        this.inventoryService.selectProduct(productId);
+    submitVendor(e) {
+        e.preventDefault();
+        const value = (id) => document.getElementById(id).value;
+
+        try {
+            const vendor = this.vendorService.saveVendor({
+                id: value('vendorIdInput') || null,
+                name: value('vendorNameInput'),
+                contact: value('vendorContactInput'),
+                phone: value('vendorPhoneInput'),
+                email: value('vendorEmailInput'),
+                address: value('vendorAddressInput'),
+                paymentTermDays: value('vendorTermInput'),
+                bankName: value('vendorBankNameInput'),
+                bankAccount: value('vendorBankAccountInput'),
+                accountHolder: value('vendorAccountHolderInput'),
+                taxId: value('vendorTaxIdInput')
+            });
+            this.renderVendorList();
+            this.fillVendorForm(vendor.id);
+        } catch (error) {
+            document.getElementById('vendorError').textContent = error instanceof AccessDeniedError
+                ? 'Anda tidak berwenang mengubah data vendor'
+                : error.message;
+        }
     }
     
-    async handleCheckout() {
-        const cart = this.inventoryService.getCart();
-        if (cart.length === 0) {
-            alert('Keranjang kosong! Silakan pilih produk terlebih dahulu.');
+    handleStockConflicts(conflicts) {
+        const lines = conflicts.map(conflict =>
+            `- ${conflict.name}: diminta ${conflict.requested}, tersedia ${conflict.available}`);
+        alert('Stok bentrok dengan kasir lain, periksa barang berikut:\n' + lines.join('\n'));
+    }
+    
+    async handleVoidTransaction() {
+        if (!this.accessControl.can('sale.void')) {
+            alert('Hanya supervisor yang dapat membatalkan transaksi.');
             return;
         }
 
-        // Pull total from the UI and show modal
-        const totalText = document.querySelector('.summary-value.total-amount')?.textContent || 'Rp 0';
-        const paymentTotal = document.getElementById('paymentTotal');
-        if (paymentTotal) paymentTotal.textContent = totalText;
-        openPaymentModal();
+        const trxNumber = (prompt('Nomor transaksi yang akan dibatalkan:') || '').trim();
+        if (!trxNumber) return;
+
+        const reason = (prompt('Alasan pembatalan:') || '').trim();
+        if (!reason) {
+            alert('Alasan pembatalan wajib diisi.');
+            return;
+        }
+
+        try {
+            const result = await this.inventoryService.voidTransaction(trxNumber, reason);
+            const receivable = this.customerService.voidReceivable(result.sale, reason);
+            let message = (result.queued
+                ? `Transaksi ${trxNumber} dibatalkan dan akan disinkronkan saat online.`
+                : `Transaksi ${trxNumber} berhasil dibatalkan.`) + ' Stok barangnya dikembalikan.';
+            if (receivable) {
+                message += ' Piutangnya ditutup.';
+                if (receivable.paid > 0) message += ` Pelanggan sudah membayar Rp ${this.formatPrice(receivable.paid)} dan perlu dikembalikan.`;
+            }
+            alert(message);
+        } catch (error) {
+            console.error('Failed to void transaction:', error);
+            alert('Gagal membatalkan transaksi: ' + error.message);
+        }
     }
     
-    handlePagination(page) {
-        // This is a placeholder for pagination functionality
-        // In a real application, this would make API calls to fetch different pages
-        console.log(`Navigating to page: ${page}`);
-        
-        // Update pagination UI
-        document.querySelectorAll('.page-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.page === page) {
-                btn.classList.add('active');
+    async openCashDrawerReport() {
+        if (!this.accessControl.can('report.cashDrawer')) {
+            alert('Hanya supervisor yang dapat membuka laporan kas.');
+            return;
+        }
+
+        const content = document.getElementById('cashReportContent');
+        const overlay = document.getElementById('reportOverlay');
+        const modal = document.getElementById('reportModal');
+        if (!content || !overlay || !modal) return;
+
+        const records = await this.inventoryService.getLocalTransactions();
+        const today = new Date().toDateString();
+        const isToday = (record) => new Date(record.data.timestamp).toDateString() === today;
+
+        const voided = new Set(records
+            .filter(record => record.action === 'voidTransaction')
+            .map(record => record.data.trxNumber));
+        const sales = records.filter(record =>
+            (record.action || 'saveTransaction') === 'saveTransaction' && isToday(record));
+
+        // Group today's sales per cashier
+        const rows = {};
+        sales.forEach(record => {
+            const cashier = record.data.cashier ? record.data.cashier.name : '-';
+            if (!rows[cashier]) rows[cashier] = { count: 0, total: 0, cash: 0, voided: 0 };
+            if (voided.has(record.data.trxNumber)) {
+                rows[cashier].voided += 1;
+                return;
             }
+            rows[cashier].count += 1;
+            rows[cashier].total += record.data.total;
+            // Cash applied to the sale, i.e. what should be in the drawer after change is given
+            rows[cashier].cash += (record.data.payments || [])
+                .filter(payment => payment.method === 'cash')
+                .reduce((sum, payment) => sum + payment.amount, 0);
+        });
+
+        const names = Object.keys(rows).sort();
+        const grandTotal = names.reduce((sum, name) => sum + rows[name].total, 0);
+        const grandCash = names.reduce((sum, name) => sum + rows[name].cash, 0);
+        const grandCount = names.reduce((sum, name) => sum + rows[name].count, 0);
+        const pendingCount = sales.filter(record => record.status !== 'synced').length;
+
+        content.innerHTML = names.length === 0
+            ? '<div class="report-note">Belum ada transaksi hari ini.</div>'
+            : `
+                <table class="report-table">
+                    <thead>
+                        <tr><th>Kasir</th><th>Transaksi</th><th>Void</th><th class="amount">Tunai</th><th class="amount">Total</th></tr>
+                    </thead>
+                    <tbody>
+                        ${names.map(name => `
+                            <tr>
+                                <td>${escapeHtml(name)}</td>
+                                <td>${rows[name].count}</td>
+                                <td>${rows[name].voided}</td>
+                                <td class="amount">Rp ${this.formatPrice(rows[name].cash)}</td>
+                                <td class="amount">Rp ${this.formatPrice(rows[name].total)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr><td>Total</td><td>${grandCount}</td><td></td><td class="amount">Rp ${this.formatPrice(grandCash)}</td><td class="amount">Rp ${this.formatPrice(grandTotal)}</td></tr>
+                    </tfoot>
+                </table>
+                <div class="report-note">Berdasarkan transaksi yang tersimpan di perangkat ini. ${pendingCount} transaksi belum tersinkron.</div>
+            `;
+
+        overlay.style.display = 'block';
+        modal.style.display = 'block';
+    }
+    
+    async openMarginReport() {
+        if (!this.accessControl.can('report.margin')) {
+            alert('Hanya supervisor yang dapat membuka laporan margin.');
+            return;
+        }
+
+        await this.loadMarginSales();
+        this.openModal('margin');
+    }
+    
+    /**
+     * Load the sales of the selected period and show the report
+     */
+    async loadMarginSales() {
+        const days = Number(document.getElementById('marginPeriod').value) || 1;
+        const content = document.getElementById('marginReportContent');
+        content.innerHTML = '<div class="report-note">Memuat penjualan...</div>';
+
+        try {
+            this.marginSales = await this.inventoryService.getSalesHistory(days);
+        } catch (error) {
+            console.error('Failed to load sales:', error);
+            content.innerHTML = `<div class="report-note">Gagal memuat penjualan: ${escapeHtml(error.message)}</div>`;
+            return;
+        }
+        this.renderMarginReport();
+    }
+    
+    renderMarginReport() {
+        const content = document.getElementById('marginReportContent');
+        if (!this.marginSales) return;
+
+        document.querySelectorAll('[data-margin-group]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.marginGroup === this.marginGroup);
         });
+
+        const { transactions, from, source } = this.marginSales;
+        const formatDay = (timestamp) => this.receiptService.formatDay(timestamp);
+        const coverage = source === 'backend'
+            ? `Mencakup penjualan semua kasir ${formatDay(from)} s.d. ${formatDay(new Date())}.`
+            : `Server tidak terjangkau: hanya penjualan yang tersimpan di perangkat ini, ${formatDay(from)} s.d. ${formatDay(new Date())}.`;
+
+        const rows = CostEngine.marginReport(transactions, this.marginGroup);
+        if (rows.length === 0) {
+            content.innerHTML = `
+                <div class="report-note">Belum ada penjualan pada periode ini.</div>
+                <div class="report-note">${coverage}</div>
+            `;
+            return;
+        }
+
+        const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+        const totals = { revenue: sum('revenue'), costedRevenue: sum('costedRevenue'), cost: sum('cost'), margin: sum('margin'), uncosted: sum('uncosted') };
+        const rate = (value) => (value === null ? '-' : `${(value * 100).toFixed(1).replace('.', ',')}%`);
+
+        content.innerHTML = `
+            <table class="report-table">
+                <thead>
+                    <tr><th>${MARGIN_GROUPS[this.marginGroup]}</th>${this.marginGroup === 'product' ? '<th class="amount">Qty</th>' : ''}<th class="amount">Penjualan</th><th class="amount">HPP</th><th class="amount">Margin</th><th class="amount">%</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${escapeHtml(row.label)}${row.uncosted > 0 ? ' <small class="overdue">*</small>' : ''}</td>
+                            ${this.marginGroup === 'product' ? `<td class="amount">${row.quantity}</td>` : ''}
+                            <td class="amount">Rp ${this.formatPrice(row.revenue)}</td>
+                            <td class="amount">Rp ${this.formatPrice(row.cost)}</td>
+                            <td class="amount ${row.margin < 0 ? 'overdue' : ''}">Rp ${this.formatPrice(row.margin)}</td>
+                            <td class="amount">${rate(row.marginRate)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr><td>Total</td>${this.marginGroup === 'product' ? '<td></td>' : ''}<td class="amount">Rp ${this.formatPrice(totals.revenue)}</td><td class="amount">Rp ${this.formatPrice(totals.cost)}</td><td class="amount">Rp ${this.formatPrice(totals.margin)}</td><td class="amount">${rate(totals.costedRevenue > 0 ? totals.margin / totals.costedRevenue : null)}</td></tr>
+                </tfoot>
+            </table>
+            <div class="report-note">Penjualan tanpa PPN, setelah diskon. HPP dari harga beli rata-rata saat transaksi. ${coverage}</div>
+            ${totals.uncosted > 0 ? `<div class="report-note">* ${totals.uncosted} baris penjualan tanpa harga beli tidak dihitung dalam margin.</div>` : ''}
+        `;
+    }
+    
+    closeCashDrawerReport() {
+        const overlay = document.getElementById('reportOverlay');
+        const modal = document.getElementById('reportModal');
+        if (overlay) overlay.style.display = 'none';
+        if (modal) modal.style.display = 'none';
+    }
+    
+    /**
+     * @param {string} page - Page number, or first / prev / next / last
+     */
+    async handlePagination(page) {
+        const current = this.inventoryService.pagination.page;
+        const targets = {
+            first: 1,
+            prev: current - 1,
+            next: current + 1,
+            last: this.inventoryService.getPageCount()
+        };
+        const target = targets[page] !== undefined ? targets[page] : Number(page);
+        if (!target || target === current) return;
+
+        try {
+            await this.inventoryService.showPage(target);
+            document.getElementById('productsGrid').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } catch (error) {
+            console.error('Failed to load page:', error);
+            alert('Gagal memuat halaman produk: ' + error.message);
+        }
     }
     
     initializeCart() {
         // Initialize with Semen Rajawali in cart (as shown in the UI)
-        this.inventoryService.addToCart('semen-rajawali');
+        this.inventoryService.addToCart('semen-rajawali')
+            .catch(error => console.error('Failed to initialize cart:', error));
     }
     
     formatPrice(price) {
@@ -139,46 +2290,167 @@ function hideLoading(element) {
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    new MiniERP();
+    const app = new MiniERP();
 
     // Payment modal interactions
     const overlay = document.getElementById('paymentOverlay');
     const modal = document.getElementById('paymentModal');
     const closeBtn = document.getElementById('paymentCloseBtn');
     const saveBtn = document.getElementById('paymentSaveBtn');
-    const methodButtons = document.querySelectorAll('.method-btn');
+    const methodButtons = document.querySelectorAll('.method-btn[data-method]');
     const methodViews = {
         cash: document.getElementById('methodViewCash'),
         qris: document.getElementById('methodViewQris'),
-        edc: document.getElementById('methodViewEdc')
+        edc: document.getElementById('methodViewEdc'),
+        credit: document.getElementById('methodViewCredit')
     };
     const contentView = document.getElementById('paymentContentView');
     const confirmView = document.getElementById('paymentConfirmView');
     const trxNumberEl = document.getElementById('trxNumber');
+    const confirmMessageEl = document.getElementById('confirmMessage');
+    const paymentErrorEl = document.getElementById('paymentError');
+    const tenderListEl = document.getElementById('tenderList');
+    const amountInputs = {
+        cash: document.getElementById('cashPaidInput'),
+        qris: document.getElementById('qrisAmountInput'),
+        edc: document.getElementById('edcAmountInput'),
+        credit: document.getElementById('creditAmountInput')
+    };
+    let activeMethod = 'cash';
+    let tenders = []; // tender lines added so far when the sale is paid with several methods
+    let pendingTrxNumber = null; // Promise of the sale's number, reused by the QRIS and by save retries
+    let saving = false;
+    let lastTransaction = null; // shown in the confirmation view, for printing its receipt
 
     // Expose helpers globally
     window.openPaymentModal = function openPaymentModal() {
         if (overlay) overlay.style.display = 'block';
         if (modal) modal.style.display = 'block';
         // default to cash
+        renderTenders();
         setActiveMethod('cash');
         updateChange();
         switchToEntryView();
     };
 
     function closePaymentModal() {
+        if (saving) return;
         if (overlay) overlay.style.display = 'none';
         if (modal) modal.style.display = 'none';
         resetEntryState();
     }
 
     function setActiveMethod(method) {
+        activeMethod = method;
+        showPaymentError('');
         methodButtons.forEach(btn => {
             btn.classList.toggle('active', btn.dataset.method === method);
         });
         Object.keys(methodViews).forEach(key => {
             if (methodViews[key]) methodViews[key].style.display = key === method ? 'block' : 'none';
         });
+        // Non-cash tenders default to the remaining balance
+        const amountInput = amountInputs[method];
+        if (method !== 'cash' && amountInput && parseRupiah(amountInput.value) === 0) {
+            amountInput.value = formatRupiahWithPrefix(getRemaining());
+        }
+        if (method === 'qris') showQris();
+        if (method === 'credit') showCreditInfo();
+    }
+
+    /**
+     * Customer of the sale and the credit still available to them
+     */
+    function showCreditInfo() {
+        const infoEl = document.getElementById('creditCustomerInfo');
+        const availableEl = document.getElementById('creditAvailable');
+        const customerBtn = document.getElementById('creditCustomerBtn');
+        const selected = app.inventoryService.customer;
+        const customer = selected && app.customerService.get(selected.id);
+        if (customerBtn) customerBtn.textContent = customer ? 'Ganti pelanggan' : 'Pilih pelanggan';
+        if (!infoEl || !availableEl) return;
+
+        if (!customer) {
+            infoEl.textContent = 'Pilih pelanggan terlebih dahulu';
+            availableEl.textContent = '';
+            return;
+        }
+        infoEl.textContent = `${customer.name} · sisa limit`;
+        availableEl.textContent = '...';
+        app.customerService.checkCredit(customer, 0)
+            .then(credit => {
+                availableEl.textContent = formatRupiahWithPrefix(credit.available);
+            })
+            .catch(error => {
+                console.error('Failed to check credit:', error);
+                availableEl.textContent = '';
+            });
+    }
+
+    /**
+     * Amount still to be paid after the tender lines added so far
+     * @returns {number}
+     */
+    function getRemaining() {
+        const total = app.inventoryService.getOrderTotals().total;
+        const paid = tenders.reduce((sum, tender) => sum + tender.amountTendered, 0);
+        return Math.max(0, total - paid);
+    }
+
+    function renderTenders() {
+        const remainingRow = document.getElementById('paymentRemainingRow');
+        const remainingEl = document.getElementById('paymentRemaining');
+        if (remainingRow) remainingRow.style.display = tenders.length > 0 ? 'block' : 'none';
+        if (remainingEl) remainingEl.textContent = formatRupiahWithPrefix(getRemaining());
+
+        if (!tenderListEl) return;
+        tenderListEl.style.display = tenders.length > 0 ? 'flex' : 'none';
+        tenderListEl.innerHTML = tenders.map((tender, index) => `
+            <div class="tender-line">
+                <span class="tender-line__method">${ReceiptService.PAYMENT_METHOD_LABELS[tender.method]}</span>
+                ${tender.edcReference ? `<span class="tender-line__ref">Ref ${escapeHtml(tender.edcReference)}</span>` : ''}
+                <span class="tender-line__amount">${formatRupiahWithPrefix(tender.amountTendered)}</span>
+                <button class="tender-line__remove" data-index="${index}" aria-label="Hapus">✕</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Transaction number of the sale being paid, issued once per sale
+     * @returns {Promise<string>}
+     */
+    function getPendingTrxNumber() {
+        if (!pendingTrxNumber) pendingTrxNumber = app.trxNumberService.next();
+        return pendingTrxNumber;
+    }
+
+    /**
+     * Show a dynamic QRIS with the amount due and the TRX number embedded
+     */
+    async function showQris() {
+        const codeEl = document.getElementById('qrisCode');
+        const textEl = document.getElementById('qrisText');
+        if (!codeEl || !textEl) return;
+        codeEl.innerHTML = '';
+        textEl.textContent = 'Menyiapkan QRIS...';
+
+        try {
+            const amount = parseRupiah(amountInputs.qris?.value) || getRemaining();
+            const trxNumber = await getPendingTrxNumber();
+            const payload = await app.qrisService.buildPayload({
+                amount: amount,
+                trxNumber: trxNumber,
+                terminalLabel: app.trxNumberService.tillId
+            });
+            if (activeMethod !== 'qris') return;
+            app.qrisService.render(codeEl, payload);
+            textEl.textContent = `${formatRupiahWithPrefix(amount)} · ${trxNumber}`;
+        } catch (error) {
+            console.error('Failed to show QRIS:', error);
+            textEl.textContent = app.qrisService.isConfigured()
+                ? 'QRIS tidak dapat ditampilkan'
+                : 'Data merchant QRIS belum diatur di config.json';
+        }
     }
 
     function parseRupiah(text) {
@@ -194,24 +2466,15 @@ document.addEventListener('DOMContentLoaded', () => {
         return 'Rp ' + formatRupiahNumberOnly(num);
     }
 
-    function updateChange() {
-        const totalText = document.querySelector('.summary-value.total-amount')?.textContent || 'Rp 0';
-        const total = parseRupiah(totalText);
-        const paid = parseRupiah(document.getElementById('cashPaidInput')?.value || '0');
-        const changeEl = document.getElementById('cashChangeOutput');
-        if (changeEl) changeEl.textContent = formatRupiahWithPrefix(paid - total);
+    function showPaymentError(message) {
+        if (paymentErrorEl) paymentErrorEl.textContent = message;
     }
 
-    // Transaction number generator with session counter
-    let trxCounter = 0;
-    function generateTrxNumber() {
-        trxCounter += 1;
-        const now = new Date();
-        const dd = String(now.getDate()).padStart(2, '0');
-        const mm = String(now.getMonth() + 1).padStart(2, '0');
-        const yyyy = String(now.getFullYear());
-        const seq = String(trxCounter).padStart(5, '0');
-        return `TRX-${dd}${mm}${yyyy}${seq}`;
+    function updateChange() {
+        // Change is only given on the cash that exceeds the remaining balance
+        const paid = parseRupiah(amountInputs.cash?.value || '0');
+        const changeEl = document.getElementById('cashChangeOutput');
+        if (changeEl) changeEl.textContent = formatRupiahWithPrefix(paid - getRemaining());
     }
 
     function switchToEntryView() {
@@ -221,19 +2484,138 @@ document.addEventListener('DOMContentLoaded', () => {
         if (saveBtn) saveBtn.textContent = 'Simpan';
     }
 
-    function switchToConfirmView() {
+    function switchToConfirmView(result) {
         if (!contentView || !confirmView) return;
         contentView.style.display = 'none';
         confirmView.style.display = 'block';
         if (saveBtn) saveBtn.textContent = 'Tutup';
-        if (trxNumberEl) trxNumberEl.textContent = generateTrxNumber();
+        if (trxNumberEl) trxNumberEl.textContent = result.trxNumber;
+        lastTransaction = result.transaction;
+        if (confirmMessageEl) {
+            confirmMessageEl.textContent = result.queued
+                ? 'Pembayaran tersimpan di perangkat ini dan akan dikirim ke server saat koneksi tersedia'
+                : 'Terima kasih, pembayaranmu telah tersimpan';
+        }
+    }
+
+    /**
+     * Collect and validate the tender entered for the active method
+     * @param {boolean} settle - Whether the tender has to pay off the remaining balance
+     * @returns {Object|null} Tender line, or null when invalid (error shown)
+     */
+    function readTender(settle) {
+        const remaining = getRemaining();
+        const amount = parseRupiah(amountInputs[activeMethod]?.value || '0');
+
+        if (amount <= 0) {
+            showPaymentError('Isi nominal pembayaran');
+            return null;
+        }
+
+        if (activeMethod === 'cash') {
+            if (settle && amount < remaining) {
+                showPaymentError('Jumlah yang dibayarkan kurang dari sisa tagihan');
+                return null;
+            }
+            if (!settle && amount >= remaining) {
+                showPaymentError('Tunai ini melunasi tagihan, tekan Simpan');
+                return null;
+            }
+            return { method: 'cash', amountTendered: amount };
+        }
+
+        if (activeMethod === 'credit' && !app.inventoryService.customer) {
+            showPaymentError('Pilih pelanggan untuk bayar nanti');
+            return null;
+        }
+
+        if (amount > remaining) {
+            showPaymentError('Nominal melebihi sisa tagihan');
+            return null;
+        }
+        if (settle && amount < remaining) {
+            showPaymentError('Nominal kurang dari sisa tagihan, tambahkan metode lain');
+            return null;
+        }
+
+        const tender = { method: activeMethod, amount, amountTendered: amount, edcReference: null };
+        if (activeMethod === 'edc') {
+            tender.edcReference = (document.getElementById('edcTransInput')?.value || '').trim();
+            if (!tender.edcReference) {
+                showPaymentError('Nomor transaksi EDC wajib diisi');
+                return null;
+            }
+        }
+        return tender;
+    }
+
+    /**
+     * Record the entered tender as part payment and continue with the remaining balance
+     */
+    function addTender() {
+        showPaymentError('');
+        if (getRemaining() <= 0) {
+            showPaymentError('Tagihan sudah lunas, tekan Simpan');
+            return;
+        }
+
+        const tender = readTender(false);
+        if (!tender) return;
+
+        tenders.push(tender);
+        clearTenderInputs();
+        renderTenders();
+        setActiveMethod(activeMethod);
+        updateChange();
+    }
+
+    function clearTenderInputs() {
+        Object.keys(amountInputs).forEach(method => {
+            if (amountInputs[method]) amountInputs[method].value = method === 'cash' ? 'Rp 0' : '';
+        });
+        const edcInput = document.getElementById('edcTransInput');
+        if (edcInput) edcInput.value = '';
+    }
+
+    async function savePayment() {
+        showPaymentError('');
+        const payments = tenders.slice();
+        if (getRemaining() > 0) {
+            const tender = readTender(true);
+            if (!tender) return;
+            payments.push(tender);
+        }
+
+        saving = true;
+        showLoading(saveBtn);
+        try {
+            const trxNumber = await getPendingTrxNumber();
+            const result = await app.completePayment(payments, trxNumber);
+            pendingTrxNumber = null;
+            switchToConfirmView(result);
+        } catch (error) {
+            console.error('Failed to save payment:', error);
+            if (error instanceof CreditLimitError) {
+                showPaymentError(`Melebihi limit kredit, sisa limit ${formatRupiahWithPrefix(error.credit.available)}`);
+                return;
+            }
+            showPaymentError(error instanceof AccessDeniedError
+                ? 'Anda tidak berwenang menyimpan transaksi'
+                : 'Gagal menyimpan transaksi, coba lagi');
+        } finally {
+            saving = false;
+            hideLoading(saveBtn);
+        }
     }
 
     function resetEntryState() {
-        const cashInput = document.getElementById('cashPaidInput');
-        if (cashInput) cashInput.value = '';
+        clearTenderInputs();
         const changeEl = document.getElementById('cashChangeOutput');
         if (changeEl) changeEl.textContent = 'Rp 0';
+        tenders = [];
+        renderTenders();
+        pendingTrxNumber = null;
+        lastTransaction = null;
         setActiveMethod('cash');
         switchToEntryView();
     }
@@ -242,11 +2624,11 @@ document.addEventListener('DOMContentLoaded', () => {
     if (overlay) overlay.addEventListener('click', closePaymentModal);
     if (closeBtn) closeBtn.addEventListener('click', closePaymentModal);
     if (saveBtn) saveBtn.addEventListener('click', () => {
-        // Toggle between entry and confirmation
+        // Save in the entry view, close in the confirmation view
         if (confirmView && confirmView.style.display === 'block') {
             closePaymentModal();
-        } else {
-            switchToConfirmView();
+        } else if (!saving) {
+            savePayment();
         }
     });
 
@@ -254,34 +2636,80 @@ document.addEventListener('DOMContentLoaded', () => {
         btn.addEventListener('click', () => setActiveMethod(btn.dataset.method));
     });
 
-    const cashInput = document.getElementById('cashPaidInput');
-    if (cashInput) {
-        // Initialize with prefix
-        if (!cashInput.value) cashInput.value = 'Rp 0';
+    const creditCustomerBtn = document.getElementById('creditCustomerBtn');
+    if (creditCustomerBtn) creditCustomerBtn.addEventListener('click', async () => {
+        await app.pickCustomer();
+        if (activeMethod === 'credit') showCreditInfo();
+    });
 
-        function setCursorToEnd(el) {
-            requestAnimationFrame(() => {
-                const len = el.value.length;
-                el.setSelectionRange(len, len);
-            });
-        }
+    const addTenderBtn = document.getElementById('addTenderBtn');
+    if (addTenderBtn) addTenderBtn.addEventListener('click', addTender);
+
+    if (tenderListEl) tenderListEl.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.tender-line__remove');
+        if (!removeBtn) return;
+        tenders.splice(Number(removeBtn.dataset.index), 1);
+        renderTenders();
+        setActiveMethod(activeMethod);
+        updateChange();
+    });
+
+    // Receipt of the sale shown in the confirmation view
+    const receiptActions = {
+        printReceiptBtn: (transaction) => app.receiptService.print(transaction, 'thermal'),
+        printA4Btn: (transaction) => app.receiptService.print(transaction, 'a4'),
+        escPosBtn: (transaction) => app.receiptService.downloadEscPos(transaction)
+    };
+    Object.keys(receiptActions).forEach(id => {
+        const btn = document.getElementById(id);
+        if (!btn) return;
+        btn.addEventListener('click', () => {
+            if (lastTransaction) receiptActions[id](lastTransaction);
+        });
+    });
+
+    // Amount inputs keep an "Rp " prefix and accept digits only
+    function setCursorToEnd(el) {
+        requestAnimationFrame(() => {
+            const len = el.value.length;
+            el.setSelectionRange(len, len);
+        });
+    }
+
+    let qrisTimer = null;
+    const amountInputHandlers = {
+        cash: updateChange,
+        qris: () => {
+            // Regenerate the QR once the cashier stops typing
+            clearTimeout(qrisTimer);
+            qrisTimer = setTimeout(showQris, 400);
+        },
+        edc: () => {},
+        credit: () => {}
+    };
+
+    Object.keys(amountInputs).forEach(method => {
+        const amountInput = amountInputs[method];
+        if (!amountInput) return;
 
-        cashInput.addEventListener('focus', () => {
-            if (!/^Rp\s/.test(cashInput.value)) {
-                cashInput.value = 'Rp 0';
-                setCursorToEnd(cashInput);
+        // Initialize with prefix
+        if (method === 'cash' && !amountInput.value) amountInput.value = 'Rp 0';
+
+        amountInput.addEventListener('focus', () => {
+            if (!/^Rp\s/.test(amountInput.value)) {
+                amountInput.value = 'Rp 0';
+                setCursorToEnd(amountInput);
             }
         });
 
-        cashInput.addEventListener('keydown', (e) => {
+        amountInput.addEventListener('keydown', (e) => {
             const prefix = 'Rp ';
-            const value = cashInput.value;
-            const selectionStart = cashInput.selectionStart || 0;
+            const selectionStart = amountInput.selectionStart || 0;
             // Prevent backspace/delete from removing the prefix
             if ((e.key === 'Backspace' && selectionStart <= prefix.length) ||
                 (e.key === 'Delete' && selectionStart < prefix.length)) {
                 e.preventDefault();
-                setCursorToEnd(cashInput);
+                setCursorToEnd(amountInput);
             }
             // Block non-numeric keys except control/navigation keys
             const allowed = ['Backspace','Delete','ArrowLeft','ArrowRight','ArrowUp','ArrowDown','Home','End','Tab'];
@@ -292,13 +2720,13 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
 
-        cashInput.addEventListener('input', () => {
-            const raw = parseRupiah(cashInput.value);
-            cashInput.value = 'Rp ' + (raw === 0 ? '0' : formatRupiahNumberOnly(raw));
-            setCursorToEnd(cashInput);
-            updateChange();
+        amountInput.addEventListener('input', () => {
+            const raw = parseRupiah(amountInput.value);
+            amountInput.value = 'Rp ' + (raw === 0 ? '0' : formatRupiahNumberOnly(raw));
+            setCursorToEnd(amountInput);
+            amountInputHandlers[method]();
         });
-    }
+    });
 });
 
 // Export for potential module usage